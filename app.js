@@ -15,6 +15,7 @@ const userRoutes = require('./routes/userRoutes');
 const rideRoutes = require('./routes/rideRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const statsRoutes = require('./routes/statsRoutes');
+const segmentRoutes = require('./routes/segmentRoutes');
 
 // Initialize express app
 const app = express();
@@ -83,6 +84,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/rides', rideRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/segments', segmentRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -95,7 +97,8 @@ app.get('/', (req, res) => {
       users: '/api/users',
       rides: '/api/rides',
       admin: '/api/admin',
-      stats: '/api/stats'
+      stats: '/api/stats',
+      segments: '/api/segments'
     }
   });
 });
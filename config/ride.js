@@ -0,0 +1,91 @@
+/**
+ * Verification of client-reported ride metrics against the GPS path
+ * tolerance - Allowed relative difference (0.1 = 10%)
+ * action - 'flag' saves the ride and flags it for review, 'reject' refuses it
+ */
+const metricsVerification = {
+  tolerance: parseFloat(process.env.RIDE_METRICS_TOLERANCE) || 0.1,
+  action: process.env.RIDE_METRICS_DIVERGENCE_ACTION === 'reject' ? 'reject' : 'flag',
+  // Absolute differences below these are always accepted (GPS noise on short rides)
+  minimumDifference: {
+    distance: 0.1, // km
+    elapsedTime: 60, // seconds
+    movingTime: 60, // seconds
+    averageSpeed: 1, // km/h
+    maxSpeed: 3, // km/h
+    elevationGained: 15 // meters
+  }
+};
+
+const SMOOTHING_METHODS = ['none', 'moving-average', 'kalman'];
+
+/**
+ * Default GPS cleaning applied before a ride is saved
+ * maxSpeed - Implied speed (km/h) above which a point is treated as a jump
+ * smoothing - 'none', 'moving-average' or 'kalman'
+ * windowSize - Points in the moving-average window
+ * processNoise / measurementNoise - Kalman tuning (m/s and meters)
+ */
+const gpsCleaning = {
+  maxSpeed: parseFloat(process.env.GPS_MAX_SPEED_KMH) || 100,
+  removeDuplicates: process.env.GPS_REMOVE_DUPLICATES !== 'false',
+  smoothing: SMOOTHING_METHODS.includes(process.env.GPS_SMOOTHING) ? process.env.GPS_SMOOTHING : 'none',
+  windowSize: parseInt(process.env.GPS_SMOOTHING_WINDOW) || 5,
+  processNoise: parseFloat(process.env.GPS_KALMAN_PROCESS_NOISE) || 3,
+  measurementNoise: parseFloat(process.env.GPS_KALMAN_MEASUREMENT_NOISE) || 10
+};
+
+/**
+ * Auto-pause detection used for moving time
+ * speedThreshold - Below this speed (km/h) the rider counts as stopped
+ * minPauseDuration - Seconds stopped before it counts as a pause
+ * gapThreshold - Seconds between fixes treated as a recording pause
+ */
+const pauseDetection = {
+  speedThreshold: parseFloat(process.env.PAUSE_SPEED_THRESHOLD_KMH) || 3,
+  minPauseDuration: parseInt(process.env.PAUSE_MIN_DURATION_SECONDS) || 10,
+  gapThreshold: parseInt(process.env.PAUSE_GAP_SECONDS) || 30
+};
+
+/**
+ * Plausible ranges for per-point sensor channels
+ * Rides with values outside these are rejected, whether created or imported.
+ */
+const sensorLimits = {
+  heartRate: { min: 25, max: 250 }, // bpm
+  cadence: { min: 0, max: 250 }, // rpm
+  power: { min: 0, max: 2500 }, // watts
+  temperature: { min: -40, max: 60 } // °C
+};
+
+/**
+ * Climb detection on the processed altitude profile
+ * minLength - Shortest climb kept (meters)
+ * minGradient - Lowest average gradient kept (%)
+ * maxDip - Descent (meters) a climb can absorb before it ends
+ * smoothingDistance - Altitude is averaged over this distance (meters) first
+ */
+const climbDetection = {
+  minLength: parseFloat(process.env.CLIMB_MIN_LENGTH_M) || 500,
+  minGradient: parseFloat(process.env.CLIMB_MIN_GRADIENT) || 3,
+  maxDip: parseFloat(process.env.CLIMB_MAX_DIP_M) || 10,
+  smoothingDistance: parseFloat(process.env.CLIMB_SMOOTHING_DISTANCE_M) || 100
+};
+
+/**
+ * Copies of a ride's original track kept when it is cropped
+ * retentionDays - Days a backup can be restored before it is deleted
+ */
+const rideBackups = {
+  retentionDays: parseInt(process.env.RIDE_BACKUP_RETENTION_DAYS) || 30
+};
+
+module.exports = {
+  metricsVerification,
+  SMOOTHING_METHODS,
+  gpsCleaning,
+  pauseDetection,
+  sensorLimits,
+  climbDetection,
+  rideBackups
+};
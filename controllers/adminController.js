@@ -1,7 +1,10 @@
 const User = require('../models/User');
 const Ride = require('../models/Ride');
 const Flag = require('../models/Flag');
+const Comment = require('../models/Comment');
 const AdminLog = require('../models/AdminLog');
+const { deleteComments } = require('../utils/rideInteractions');
+const { deleteRideAndData } = require('../utils/rideDeletion');
 
 // Get all users (admin view)
 exports.getAllUsers = async (req, res) => {
@@ -51,7 +54,7 @@ exports.getAllUsers = async (req, res) => {
   }
 };
 
-// Get user details with rides (admin view)
+// Get user details with rides and comments (admin view)
 exports.getUserDetails = async (req, res) => {
   try {
     const { userId } = req.params;
@@ -70,11 +73,19 @@ exports.getUserDetails = async (req, res) => {
 
     const rideCount = await Ride.countDocuments({ userId });
 
+    const comments = await Comment.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    const commentCount = await Comment.countDocuments({ userId });
+
     res.json({
       success: true,
       user,
       recentRides: rides,
-      totalRides: rideCount
+      totalRides: rideCount,
+      recentComments: comments,
+      totalComments: commentCount
     });
   } catch (error) {
     console.error('Admin get user details error:', error);
@@ -181,17 +192,21 @@ exports.unblockUser = async (req, res) => {
   }
 };
 
-// Get all flagged activities
+// Get all flagged activities and reported comments
+// ?type=ride or ?type=comment narrows the list
 exports.getFlaggedActivities = async (req, res) => {
   try {
-    const { page = 1, limit = 20, status = 'pending' } = req.query;
+    const { page = 1, limit = 20, status = 'pending', type } = req.query;
     const skip = (page - 1) * limit;
 
     // FIXED: using status field from Flag model
     const query = { status };
+    if (type === 'ride') query.commentId = null;
+    if (type === 'comment') query.commentId = { $ne: null };
 
     const flags = await Flag.find(query)
       .populate('rideId', 'rideName distance averageSpeed activityDate userId')
+      .populate('commentId', 'text userId parentId createdAt editedAt')
       .populate('reportedBy', 'name email')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
@@ -224,6 +239,7 @@ exports.getFlagDetails = async (req, res) => {
 
     const flag = await Flag.findById(flagId)
       .populate('rideId')
+      .populate('commentId')
       .populate('reportedBy', 'name email');
 
     if (!flag) {
@@ -234,13 +250,20 @@ exports.getFlagDetails = async (req, res) => {
     }
 
     // Get user who created the ride
-    const rideUser = await User.findById(flag.rideId.userId)
-      .select('name email city totalCoins');
+    const rideUser = flag.rideId
+      ? await User.findById(flag.rideId.userId).select('name email city totalCoins')
+      : null;
+
+    // And who wrote the reported comment
+    const commentUser = flag.commentId
+      ? await User.findById(flag.commentId.userId).select('name email city')
+      : null;
 
     res.json({
       success: true,
       flag,
-      rideUser
+      rideUser,
+      commentUser
     });
   } catch (error) {
     console.error('Admin get flag details error:', error);
@@ -251,7 +274,7 @@ exports.getFlagDetails = async (req, res) => {
   }
 };
 
-// Review flag (delete ride and resolve)
+// Review flag (delete the ride, or the reported comment, and resolve)
 exports.reviewFlag = async (req, res) => {
   try {
     const { flagId } = req.params;
@@ -274,13 +297,42 @@ exports.reviewFlag = async (req, res) => {
       });
     }
 
+    // Reported comments are deleted instead of the ride
+    if (flag.commentId) {
+      const comment = await Comment.findById(flag.commentId).select('text userId rideId');
+      if (comment) {
+        await AdminLog.create({
+          adminId,
+          actionType: 'COMMENT_DELETED',
+          description: 'Deleted reported comment',
+          targetUserId: comment.userId,
+          targetRideId: comment.rideId,
+          targetFlagId: flagId,
+          metadata: {
+            reason: reason || 'Reported comment reviewed',
+            commentId: comment._id.toString(),
+            text: comment.text
+          }
+        });
+
+        await deleteComments({ _id: comment._id });
+      }
+
+      flag.status = 'resolved';
+      flag.reviewedBy = adminId;
+      flag.reviewedAt = new Date();
+      flag.adminNotes = reason || 'Comment deleted after review';
+      await flag.save();
+
+      return res.json({
+        success: true,
+        message: 'Flag reviewed and comment deleted successfully'
+      });
+    }
+
     // Delete the ride
     const ride = await Ride.findById(flag.rideId);
     if (ride) {
-      await User.findByIdAndUpdate(ride.userId, {
-        $inc: { totalCoins: -ride.coinsEarned }
-      });
-
       // Log admin action - FIXED
       await AdminLog.create({
         adminId,
@@ -296,7 +348,7 @@ exports.reviewFlag = async (req, res) => {
         }
       });
 
-      await Ride.findByIdAndDelete(flag.rideId);
+      await deleteRideAndData(ride);
     }
 
     // Mark flag as resolved - FIXED: using status and reviewedBy
@@ -385,11 +437,6 @@ exports.deleteRide = async (req, res) => {
       });
     }
 
-    // Deduct coins from user
-    await User.findByIdAndUpdate(ride.userId, {
-      $inc: { totalCoins: -ride.coinsEarned }
-    });
-
     // Log admin action - FIXED
     await AdminLog.create({
       adminId,
@@ -404,8 +451,8 @@ exports.deleteRide = async (req, res) => {
       }
     });
 
-    // Delete ride
-    await Ride.findByIdAndDelete(rideId);
+    // Delete ride with its streams, backups, segment efforts, kudos and comments
+    await deleteRideAndData(ride);
 
     // Mark related flags as resolved
     await Flag.updateMany(
@@ -521,6 +568,7 @@ exports.getDashboardStats = async (req, res) => {
     const blockedUsers = await User.countDocuments({ isBlocked: true });
     const totalRides = await Ride.countDocuments();
     const pendingFlags = await Flag.countDocuments({ status: 'pending' });
+    const pendingCommentFlags = await Flag.countDocuments({ status: 'pending', commentId: { $ne: null } });
 
     // Get recent activity
     const recentUsers = await User.find()
@@ -541,7 +589,8 @@ exports.getDashboardStats = async (req, res) => {
         blockedUsers,
         activeUsers: totalUsers - blockedUsers,
         totalRides,
-        pendingFlags
+        pendingFlags,
+        pendingCommentFlags
       },
       recentActivity: {
         recentUsers,
@@ -1,356 +1,1915 @@
+const mongoose = require('mongoose');
 const Ride = require('../models/Ride');
 const User = require('../models/User');
 const Flag = require('../models/Flag');
+const RideBackup = require('../models/RideBackup');
+const Kudos = require('../models/Kudos');
+const Comment = require('../models/Comment');
+const { metricsVerification } = require('../config/ride');
+const { parseGpx } = require('../utils/gpxParser');
+const { parseFit, fitRecordsToGpsPath, fitLapsToSegments } = require('../utils/fitParser');
+const { compareRideMetrics } = require('../utils/rideMetrics');
+const { processRideTrack, applyRideTrack } = require('../utils/rideProcessing');
+const { EXPORT_FORMATS, exportRide } = require('../utils/rideExport');
+const { simplifyPath, toleranceForZoom, encodePolyline } = require('../utils/polyline');
+const {
+  STREAM_CHANNELS,
+  saveRideStream,
+  loadRideStreams,
+  loadRidePath,
+  downsampleStreams,
+  deleteRideStreams
+} = require('../utils/rideStreams');
+const {
+  updateUserStats,
+  updateWeeklyStats,
+  recalculateUserStats,
+  recalculateWeeklyStats,
+  updateTrainingLoad
+} = require('../utils/calculateStats');
+const { computeRideZones } = require('../utils/trainingZones');
+const { computeRideTrainingLoad } = require('../utils/trainingLoad');
+const { computeRideEnergy } = require('../utils/energyExpenditure');
+const { MIN_SPLIT_DISTANCE, MAX_SPLIT_DISTANCE, computeSplits, parseSplitDistance } = require('../utils/autoLaps');
+const { recordSegmentEfforts, clearSegmentEfforts } = require('../utils/segmentMatcher');
+const {
+  parseCropRange,
+  resolveCropWindow,
+  cropTrack,
+  splitTrack,
+  mergeTracks,
+  partitionSegments,
+  renumberSegments
+} = require('../utils/rideEditing');
+const { createRideBackup, loadBackupPath, deleteRideBackups } = require('../utils/rideBackups');
+const { privatePointMask, filterPrivatePoints, buildPublicGeometry } = require('../utils/privacyZones');
+const { RIDE_VISIBILITIES, visibleRidesFilter, reviewedRidesFilter, canViewRide } = require('../utils/rideVisibility');
+const { getFollowingIds } = require('../utils/follows');
+const { deleteComments, moveRideInteractions } = require('../utils/rideInteractions');
+const { deleteRideAndData } = require('../utils/rideDeletion');
+const { findSensorErrors } = require('../utils/sensorMetrics');
+
+const METRIC_FIELDS = ['distance', 'elapsedTime', 'movingTime', 'averageSpeed', 'maxSpeed', 'elevationGained'];
+
+// Build, save and credit a new ride (shared by manual creation and file imports)
+// When a GPS path is present its metrics replace the client's; returns
+// { ride: null, divergence } instead if the claim is rejected.
+const saveNewRide = async (userId, rideData) => {
+  const {
+    rideName,
+    description,
+    distance,
+    elapsedTime,
+    movingTime,
+    averageSpeed,
+    maxSpeed,
+    totalElevation,
+    elevationGained,
+    gpsPath,
+    segments,
+    recordedFrom,
+    startTime,
+    endTime,
+    cleaning,
+    visibility
+  } = rideData;
+
+  // Zones, training stress, energy, public geometry and the default visibility depend on the owner's profile
+  const owner = await User.findById(userId).select('age sex weight zoneSettings privacy');
+
+  // Create ride
+  const ride = new Ride({
+    userId,
+    rideName: rideName || 'Unnamed Ride',
+    description: description || '',
+    distance,
+    elapsedTime,
+    movingTime,
+    averageSpeed,
+    maxSpeed,
+    totalElevation: totalElevation || 0,
+    elevationGained: elevationGained || 0,
+    segments: segments || [],
+    recordedFrom: recordedFrom || 'Mobile',
+    startTime: startTime || new Date(),
+    endTime: endTime || new Date(),
+    activityDate: new Date(),
+    visibility: RIDE_VISIBILITIES.includes(visibility) ? visibility : owner.privacy.defaultRideVisibility,
+    photos: [],
+    videos: []
+  });
+
+  let divergence = [];
+  let track = null;
+
+  // Clean the GPS path and recompute from it instead of trusting the client
+  if (gpsPath && gpsPath.length >= 2) {
+    // Imports skip the request validator, so sensor ranges are checked here too
+    const sensorErrors = findSensorErrors(gpsPath);
+    if (sensorErrors.length > 0) {
+      return { ride: null, divergence, sensorErrors };
+    }
+
+    track = processRideTrack(gpsPath, cleaning);
+
+    const claimedMetrics = {};
+    METRIC_FIELDS.forEach(field => {
+      const value = parseFloat(rideData[field]);
+      claimedMetrics[field] = Number.isFinite(value) ? value : null;
+    });
+
+    divergence = compareRideMetrics(claimedMetrics, track.metrics, metricsVerification);
+    if (divergence.length > 0 && metricsVerification.action === 'reject') {
+      return { ride: null, divergence };
+    }
+
+    applyRideTrack(ride, track);
+    ride.publicGeometry = buildPublicGeometry(track.gpsPath, owner.privacy);
+    ride.streamInfo.rawPointCount = gpsPath.length;
+    ride.timeInZones = computeRideZones(track.gpsPath, owner);
+    ride.activityDate = track.metrics.startTime;
+    ride.claimedMetrics = claimedMetrics;
+    ride.metricsDivergence = divergence;
+    ride.isFlagged = divergence.length > 0;
+  } else {
+    // Calculate coins: (Distance × Average Speed) / 2
+    ride.coinsEarned = Math.round((distance * averageSpeed) / 2);
+  }
+
+  ride.trainingLoad = computeRideTrainingLoad(ride, track ? track.gpsPath : [], owner);
+  ride.energy = computeRideEnergy(ride, owner);
+
+  await ride.save();
+
+  if (track) {
+    await saveRideStream(ride._id, 'processed', track.gpsPath);
+    await saveRideStream(ride._id, 'raw', gpsPath);
+  }
+
+  // Queue divergent rides for admin review
+  if (divergence.length > 0) {
+    await Flag.create({
+      rideId: ride._id,
+      source: 'system',
+      reason: 'Reported metrics differ from GPS track: ' + divergence
+        .map(d => `${d.field} (claimed ${d.claimed}, GPS ${Math.round(d.derived * 100) / 100})`)
+        .join(', ')
+    });
+  }
+
+  // Update user's totals, records and best efforts
+  await updateUserStats(userId, ride);
+  await updateWeeklyStats(userId, ride);
+  await updateTrainingLoad(userId, ride.activityDate);
+
+  // Match the track against known segments
+  if (track) {
+    await recordSegmentEfforts(ride, track.gpsPath);
+  }
+
+  return { ride, divergence };
+};
+
+// A ride's raw track; rides saved before raw paths were kept use their processed one
+const loadRawPath = async (rideId) => {
+  const rawPath = await loadRidePath(rideId, 'raw');
+  return rawPath.length > 0 ? rawPath : loadRidePath(rideId);
+};
+
+// Re-derive everything stored for a ride from a raw track, save it and
+// refresh the owner's stats (reprocessing, cropping and restoring)
+const rebuildRideTrack = async (ride, rawPath, cleaning) => {
+  const userId = ride.userId;
+  const previousDate = ride.activityDate;
+  const owner = await User.findById(userId).select('age sex weight zoneSettings privacy');
+
+  const track = processRideTrack(rawPath, cleaning);
+  applyRideTrack(ride, track);
+  ride.publicGeometry = buildPublicGeometry(track.gpsPath, owner.privacy);
+  ride.streamInfo.rawPointCount = rawPath.length;
+  ride.activityDate = track.metrics.startTime;
+  ride.timeInZones = computeRideZones(track.gpsPath, owner);
+  ride.trainingLoad = computeRideTrainingLoad(ride, track.gpsPath, owner);
+  // Keep the weight the energy estimate was made with (see updateProfile)
+  ride.energy = computeRideEnergy(ride, {
+    age: owner.age,
+    sex: owner.sex,
+    weight: ride.energy.weight || owner.weight
+  });
+
+  await ride.save();
+  await saveRideStream(ride._id, 'processed', track.gpsPath);
+  await saveRideStream(ride._id, 'raw', rawPath);
+
+  // Coins, records, best efforts and weekly totals may all have changed
+  await recalculateUserStats(userId);
+  await recalculateWeeklyStats(userId);
+  await updateTrainingLoad(userId, previousDate < ride.activityDate ? previousDate : ride.activityDate);
+
+  // Segment efforts point into the old track
+  await clearSegmentEfforts(ride._id);
+  await recordSegmentEfforts(ride, track.gpsPath);
+
+  return track;
+};
+
+// Fields returned by location queries
+const LOCATION_RESULT_FIELDS = 'rideName distance elapsedTime activityDate coinsEarned userId visibility startLocation endLocation publicGeometry';
+
+// Geo fields replaced by their privacy-filtered versions for other users
+const PUBLIC_GEOMETRY_FIELDS = ['startLocation', 'endLocation', 'routeLine', 'polyline', 'summaryPolyline'];
+
+// Ride entries that point into the full stream; other users get the stream with private points removed
+const STREAM_INDEX_FIELDS = ['pauses', 'bestEfforts', 'climbs'];
+
+// Copy of a pause, best effort, climb or split without its stream indexes
+const withoutStreamIndexes = ({ startIndex, endIndex, ...entry }) => entry;
+
+// A ride as the given user may see it: other users' rides get the
+// privacy-filtered geo fields instead of the real ones, and no stream indexes
+const toViewerRide = (ride, viewerId) => {
+  const result = typeof ride.toObject === 'function' ? ride.toObject() : { ...ride };
+  const owner = result.userId && result.userId._id ? result.userId._id : result.userId;
+  const publicGeometry = result.publicGeometry || {};
+  delete result.publicGeometry;
+
+  if (!owner || owner.toString() !== viewerId) {
+    PUBLIC_GEOMETRY_FIELDS.forEach(field => {
+      if (result[field] !== undefined) result[field] = publicGeometry[field];
+    });
+    STREAM_INDEX_FIELDS.forEach(field => {
+      if (Array.isArray(result[field])) result[field] = result[field].map(withoutStreamIndexes);
+    });
+  }
+
+  return result;
+};
+
+// Owner's privacy settings, or null when the viewer is the owner
+const privacyForViewer = async (ownerId, viewerId) => {
+  if (ownerId.toString() === viewerId) return null;
+
+  const owner = await User.findById(ownerId).select('privacy');
+  return owner ? owner.privacy : null;
+};
+
+// Feed page sizes
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 50;
+
+// Fields the feed needs from each ride
+const FEED_PROJECTION = Object.fromEntries([
+  'rideName', 'activityDate', 'userId', 'visibility', 'distance', 'elapsedTime', 'movingTime', 'averageSpeed',
+  'elevationGained', 'coinsEarned', 'summaryPolyline', 'publicGeometry.summaryPolyline', 'photos', 'videos',
+  'kudosCount', 'commentCount'
+].map(field => [field, 1]));
+
+// Feed cursors are "<activityDate ms>_<ride id>" of the last ride on the previous page
+const encodeFeedCursor = (ride) => `${ride.activityDate.getTime()}_${ride._id}`;
+
+// Query filter for the rides after a cursor, or null if the cursor is malformed
+const parseFeedCursor = (cursor) => {
+  const [time, id] = String(cursor).split('_');
+  const date = new Date(parseInt(time));
+  if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+  return {
+    $or: [
+      { activityDate: { $lt: date } },
+      { activityDate: date, _id: { $lt: new mongoose.Types.ObjectId(id) } }
+    ]
+  };
+};
+
+// Shape one ride for the feed; kudoed tells whether the viewer gave it kudos
+const formatFeedRide = (ride, viewerId, kudoed) => {
+  const viewed = toViewerRide(ride, viewerId);
+  return {
+    id: viewed._id,
+    rideName: viewed.rideName,
+    activityDate: viewed.activityDate,
+    visibility: viewed.visibility,
+    user: {
+      id: viewed.userId._id,
+      name: viewed.userId.name,
+      city: viewed.userId.city
+    },
+    distance: viewed.distance,
+    elapsedTime: viewed.elapsedTime,
+    movingTime: viewed.movingTime,
+    averageSpeed: viewed.averageSpeed,
+    elevationGained: viewed.elevationGained,
+    coinsEarned: viewed.coinsEarned,
+    summaryPolyline: viewed.summaryPolyline,
+    media: {
+      photos: viewed.photos.length,
+      videos: viewed.videos.length
+    },
+    kudosCount: viewed.kudosCount,
+    commentCount: viewed.commentCount,
+    kudoed
+  };
+};
+
+// Shape a comment (and its replies, if given) for the response
+const formatComment = (comment, replies) => ({
+  id: comment._id,
+  parentId: comment.parentId,
+  user: comment.userId
+    ? { id: comment.userId._id, name: comment.userId.name, city: comment.userId.city }
+    : null,
+  text: comment.text,
+  createdAt: comment.createdAt,
+  editedAt: comment.editedAt,
+  ...(replies ? { replies: replies.map(reply => formatComment(reply)) } : {})
+});
+
+// Ways getRideById can return the route
+const PATH_FORMATS = ['full', 'simplified', 'encoded', 'none'];
+
+// Zoom used for ?path=simplified when the client doesn't send one
+const DEFAULT_MAP_ZOOM = 15;
+
+// Send the response for a ride rejected for implausible sensor values or by metric verification
+const sendRideRejected = (res, divergence, sensorErrors) => {
+  if (sensorErrors) {
+    return res.status(400).json({
+      success: false,
+      message: 'Sensor values are outside the plausible ranges',
+      errors: sensorErrors
+    });
+  }
+
+  return res.status(400).json({
+    success: false,
+    message: 'Reported ride metrics do not match the GPS track',
+    divergence
+  });
+};
 
 // Create a new ride
 exports.createRide = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const {
+
+    const { ride, divergence, sensorErrors } = await saveNewRide(userId, req.body);
+    if (!ride) {
+      return sendRideRejected(res, divergence, sensorErrors);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Ride created successfully',
+      ride,
+      coinsEarned: ride.coinsEarned
+    });
+  } catch (error) {
+    console.error('Create ride error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error creating ride' 
+    });
+  }
+};
+
+// Import a ride from an uploaded GPX file
+exports.importGpx = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { rideName, description, recordedFrom, visibility } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.fileValidationError || 'Please upload a GPX file' 
+      });
+    }
+
+    const { name, points, errors, totalErrors } = parseGpx(req.file.buffer.toString('utf8'));
+    if (totalErrors > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid GPX file (${totalErrors} error${totalErrors === 1 ? '' : 's'})`,
+        errors
+      });
+    }
+
+    const { ride, divergence, sensorErrors } = await saveNewRide(userId, {
+      rideName: rideName || name,
+      description,
+      recordedFrom,
+      visibility,
+      gpsPath: points
+    });
+    if (!ride) {
+      return sendRideRejected(res, divergence, sensorErrors);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Ride imported successfully',
+      ride,
+      coinsEarned: ride.coinsEarned
+    });
+  } catch (error) {
+    console.error('Import GPX error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error importing GPX file' 
+    });
+  }
+};
+
+// Import a ride from an uploaded FIT file
+exports.importFit = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { rideName, description, recordedFrom, visibility } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.fileValidationError || 'Please upload a FIT file' 
+      });
+    }
+
+    const { records, laps, sessions, errors } = parseFit(req.file.buffer);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid FIT file',
+        errors
+      });
+    }
+
+    const gpsPath = fitRecordsToGpsPath(records);
+    if (gpsPath.length < 2) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'FIT file does not contain a GPS track' 
+      });
+    }
+
+    // The device's own session totals are checked against the track like a client claim
+    const claimed = {};
+    if (sessions.length > 0) {
+      const sum = (field) => sessions.reduce((total, session) => total + (session[field] || 0), 0);
+      const timerTime = sum('totalTimerTime');
+      const elapsed = sum('totalElapsedTime');
+      const sessionDistance = sum('totalDistance') / 1000;
+      const sessionMaxSpeed = Math.max(...sessions.map(session =>
+        session.enhancedMaxSpeed !== undefined ? session.enhancedMaxSpeed : (session.maxSpeed || 0)
+      ));
+
+      if (sessionDistance > 0) claimed.distance = sessionDistance;
+      if (elapsed > 0) claimed.elapsedTime = Math.round(elapsed);
+      if (timerTime > 0) {
+        claimed.movingTime = Math.round(timerTime);
+        claimed.averageSpeed = sessionDistance / (timerTime / 3600);
+      }
+      if (sessionMaxSpeed > 0) claimed.maxSpeed = sessionMaxSpeed * 3.6;
+      if (sessions.some(session => session.totalAscent !== undefined)) {
+        claimed.elevationGained = sum('totalAscent');
+      }
+    }
+
+    const { ride, divergence, sensorErrors } = await saveNewRide(userId, {
       rideName,
       description,
-      distance,
-      elapsedTime,
-      movingTime,
-      averageSpeed,
-      maxSpeed,
-      totalElevation,
-      elevationGained,
-      gpsPath,
-      segments,
       recordedFrom,
-      startTime,
-      endTime
-    } = req.body;
+      visibility,
+      ...claimed,
+      gpsPath,
+      segments: fitLapsToSegments(laps)
+    });
+    if (!ride) {
+      return sendRideRejected(res, divergence, sensorErrors);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Ride imported successfully',
+      ride,
+      coinsEarned: ride.coinsEarned
+    });
+  } catch (error) {
+    console.error('Import FIT error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error importing FIT file' 
+    });
+  }
+};
+
+// Get logged-in user's own rides
+exports.getMyRides = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { search, page = 1, limit = 20, sortBy = 'date', polyline = 'false' } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = { userId };
+
+    // Add search functionality
+    if (search) {
+      query.rideName = { $regex: search, $options: 'i' };
+    }
+
+    // Determine sort order
+    let sort = {};
+    if (sortBy === 'date') sort.createdAt = -1;
+    else if (sortBy === 'distance') sort.distance = -1;
+    else if (sortBy === 'time') sort.elapsedTime = -1;
+    else if (sortBy === 'coins') sort.coinsEarned = -1;
+
+    const rides = await Ride.find(query)
+      .sort(sort)
+      .limit(parseInt(limit))
+      .skip(skip)
+      .select('rideName distance elapsedTime activityDate coinsEarned visibility kudosCount commentCount ' +
+        'averageSpeed maxSpeed elevationGained ' +
+        'averageHeartRate maxHeartRate averageCadence averagePower maxPower normalizedPower averageTemperature' +
+        (polyline === 'true' ? ' summaryPolyline' : ''));
+
+    const total = await Ride.countDocuments(query);
+
+    res.json({
+      success: true,
+      rides,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get my rides error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching your rides' 
+    });
+  }
+};
+
+// Get the logged-in user's feed: own rides and rides of followed users, newest first
+// Paginated with ?cursor= (nextCursor of the previous page) and ?limit=
+exports.getFeed = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_FEED_LIMIT, MAX_FEED_LIMIT));
+
+    const filters = [await visibleRidesFilter(req.user)];
+    if (req.query.cursor) {
+      const after = parseFeedCursor(req.query.cursor);
+      if (!after) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid feed cursor' 
+        });
+      }
+      filters.push(after);
+    }
+
+    // Blocked riders drop out of the feed
+    const followingIds = await getFollowingIds(userId);
+    const ownerIds = await User.find({
+      _id: { $in: [...followingIds, userId] },
+      isBlocked: false
+    }).distinct('_id');
+
+    // Rides awaiting admin review are held back (reported comments don't count);
+    // the flag lookup runs in sort order, so it stops once the page is full
+    const rides = await Ride.aggregate([
+      { $match: { userId: { $in: ownerIds }, $and: filters } },
+      { $sort: { activityDate: -1, _id: -1 } },
+      {
+        $lookup: {
+          from: Flag.collection.name,
+          let: { rideId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$rideId', '$$rideId'] }, commentId: null, status: 'pending' } },
+            { $limit: 1 }
+          ],
+          as: 'pendingFlags'
+        }
+      },
+      { $match: { pendingFlags: { $size: 0 } } },
+      { $limit: limit + 1 },
+      { $project: FEED_PROJECTION }
+    ]);
+    await Ride.populate(rides, { path: 'userId', select: 'name city' });
+
+    const hasMore = rides.length > limit;
+    const page = rides.slice(0, limit);
+
+    const kudoedIds = (await Kudos.find({ userId, rideId: { $in: page.map(ride => ride._id) } }).distinct('rideId'))
+      .map(id => id.toString());
+
+    res.json({
+      success: true,
+      rides: page.map(ride => formatFeedRide(ride, userId, kudoedIds.includes(ride._id.toString()))),
+      nextCursor: hasMore ? encodeFeedCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching feed' 
+    });
+  }
+};
+
+// Get rides by user ID (public)
+exports.getUserRides = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { userId, ...await visibleRidesFilter(req.user) };
+
+    const rides = await Ride.find(query)
+      .sort({ activityDate: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .select('rideName distance elapsedTime activityDate coinsEarned visibility kudosCount commentCount');
+
+    const total = await Ride.countDocuments(query);
+
+    res.json({
+      success: true,
+      rides,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get user rides error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching rides' 
+    });
+  }
+};
+
+// Search rides by name
+exports.searchRides = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { query, ownOnly = 'false', limit = 20 } = req.query;
+
+    if (!query) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Search query is required' 
+      });
+    }
+
+    let searchQuery = {
+      rideName: { $regex: query, $options: 'i' },
+      ...await visibleRidesFilter(req.user)
+    };
+
+    // If ownOnly is true, filter by current user
+    if (ownOnly === 'true') {
+      searchQuery.userId = userId;
+    }
+
+    const rides = await Ride.find(searchQuery)
+      .populate('userId', 'name city')
+      .sort({ activityDate: -1 })
+      .limit(parseInt(limit))
+      .select('rideName distance elapsedTime activityDate coinsEarned userId visibility kudosCount commentCount');
+
+    res.json({
+      success: true,
+      rides,
+      count: rides.length
+    });
+  } catch (error) {
+    console.error('Search rides error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error searching rides' 
+    });
+  }
+};
+
+// Find rides starting within a radius of a point
+exports.getNearbyRides = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { limit = 20 } = req.query;
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radiusKm = parseFloat(req.query.radiusKm || 10);
+
+    if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Valid lat and lng query parameters are required' 
+      });
+    }
+
+    if (!(radiusKm > 0 && radiusKm <= 200)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'radiusKm must be between 0 and 200' 
+      });
+    }
+
+    // $nearSphere returns the closest rides first; matching on the public
+    // start keeps rides from being found by points inside privacy zones
+    const rides = await Ride.find({
+      'publicGeometry.startLocation': {
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates: [lng, lat] },
+          $maxDistance: radiusKm * 1000
+        }
+      },
+      $and: [reviewedRidesFilter(userId), await visibleRidesFilter(req.user)]
+    })
+      .populate('userId', 'name city')
+      .limit(parseInt(limit))
+      .select(LOCATION_RESULT_FIELDS);
+
+    res.json({
+      success: true,
+      rides: rides.map(ride => toViewerRide(ride, userId)),
+      count: rides.length
+    });
+  } catch (error) {
+    console.error('Get nearby rides error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching nearby rides' 
+    });
+  }
+};
+
+// Find rides whose route passes through a bounding box
+exports.getRidesInBounds = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { limit = 50 } = req.query;
+    const minLat = parseFloat(req.query.minLat);
+    const minLng = parseFloat(req.query.minLng);
+    const maxLat = parseFloat(req.query.maxLat);
+    const maxLng = parseFloat(req.query.maxLng);
+
+    if (
+      !(minLat >= -90 && maxLat <= 90 && minLat < maxLat) ||
+      !(minLng >= -180 && maxLng <= 180 && minLng < maxLng)
+    ) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'minLat, minLng, maxLat and maxLng must describe a valid bounding box' 
+      });
+    }
+
+    const box = {
+      type: 'Polygon',
+      coordinates: [[
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat]
+      ]]
+    };
+
+    const rides = await Ride.find({
+      'publicGeometry.routeLine': { $geoIntersects: { $geometry: box } },
+      $and: [reviewedRidesFilter(userId), await visibleRidesFilter(req.user)]
+    })
+      .populate('userId', 'name city')
+      .sort({ activityDate: -1 })
+      .limit(parseInt(limit))
+      .select(LOCATION_RESULT_FIELDS);
+
+    res.json({
+      success: true,
+      rides: rides.map(ride => toViewerRide(ride, userId)),
+      count: rides.length
+    });
+  } catch (error) {
+    console.error('Get rides in bounds error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching rides in area' 
+    });
+  }
+};
+
+// Get single ride details
+// ?path=full|simplified|encoded|none controls how the route is returned;
+// ?zoom= picks the simplification tolerance for simplified/encoded;
+// ?splits=<km> adds auto-laps of that distance
+exports.getRideById = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const { path = 'full' } = req.query;
+    const zoom = parseFloat(req.query.zoom);
+    const splitDistance = req.query.splits !== undefined ? parseSplitDistance(req.query.splits) : null;
+
+    if (!PATH_FORMATS.includes(path)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Path format must be one of: ${PATH_FORMATS.join(', ')}` 
+      });
+    }
+
+    if (req.query.splits !== undefined && splitDistance === null) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Split distance must be between ${MIN_SPLIT_DISTANCE} and ${MAX_SPLIT_DISTANCE} km` 
+      });
+    }
+
+    // The stored polyline is enough unless a zoom-specific one or splits are needed
+    const needsPath = path === 'full' || path === 'simplified' || (path === 'encoded' && Number.isFinite(zoom)) ||
+      splitDistance !== null;
+
+    const ride = await Ride.findById(rideId).populate('userId', 'name city');
+    // Rides the user may not see are reported as missing
+    if (!ride || !ride.userId || !await canViewRide(ride, req.user)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    const viewerId = req.user.userId;
+    const result = toViewerRide(ride, viewerId);
+    result.kudoed = Boolean(await Kudos.exists({ rideId: ride._id, userId: viewerId }));
+    if (needsPath) {
+      const gpsPath = await loadRidePath(ride._id);
+      const privacy = await privacyForViewer(ride.userId._id, viewerId);
+      const visiblePath = privacy ? filterPrivatePoints(gpsPath, privacy) : gpsPath;
+      const latitude = visiblePath.length > 0 ? visiblePath[0].latitude : 0;
+
+      if (path === 'full') {
+        result.gpsPath = visiblePath;
+      } else if (path === 'simplified') {
+        result.gpsPath = simplifyPath(visiblePath, toleranceForZoom(Number.isFinite(zoom) ? zoom : DEFAULT_MAP_ZOOM, latitude));
+      } else if (path === 'encoded' && Number.isFinite(zoom)) {
+        result.polyline = encodePolyline(simplifyPath(visiblePath, toleranceForZoom(zoom, latitude)));
+      }
+
+      // Splits are stats, so they use the full path (indexes only make sense to the owner)
+      if (splitDistance !== null) {
+        const splits = computeSplits(gpsPath, splitDistance, ride.pauses);
+        result.splitDistance = splitDistance;
+        result.splits = ride.userId._id.toString() === viewerId ? splits : splits.map(withoutStreamIndexes);
+      }
+    }
+
+    res.json({
+      success: true,
+      ride: result
+    });
+  } catch (error) {
+    console.error('Get ride by ID error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching ride' 
+    });
+  }
+};
+
+// Get per-point stream data for a ride
+// ?channels=time,latitude,... selects channels (default all),
+// ?maxPoints= downsamples, ?type=raw returns the uncleaned stream (owner only)
+exports.getRideStreams = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const userId = req.user.userId;
+    const { type = 'processed' } = req.query;
+    const maxPoints = parseInt(req.query.maxPoints);
+    const channels = req.query.channels
+      ? String(req.query.channels).split(',').map(channel => channel.trim())
+      : Object.keys(STREAM_CHANNELS);
+
+    const unknown = channels.filter(channel => !Object.keys(STREAM_CHANNELS).includes(channel));
+    if (unknown.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Unknown stream channels: ${unknown.join(', ')}. Available: ${Object.keys(STREAM_CHANNELS).join(', ')}` 
+      });
+    }
+
+    if (!['processed', 'raw'].includes(type)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Stream type must be processed or raw' 
+      });
+    }
+
+    const ride = await Ride.findById(rideId).select('userId visibility streamInfo');
+    if (!ride || !await canViewRide(ride, req.user)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    if (type === 'raw' && ride.userId.toString() !== userId) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the owner can view the raw stream' 
+      });
+    }
+
+    let streams = await loadRideStreams(ride._id, channels, type);
+
+    // Drop points inside the owner's privacy zones for everyone else
+    const privacy = await privacyForViewer(ride.userId, userId);
+    if (privacy) {
+      const positions = await loadRideStreams(ride._id, ['latitude', 'longitude'], type);
+      const mask = privatePointMask(
+        positions.latitude.map((latitude, i) => ({ latitude, longitude: positions.longitude[i] })),
+        privacy
+      );
+      Object.keys(streams).forEach(channel => {
+        streams[channel] = streams[channel].filter((value, i) => !mask[i]);
+      });
+    }
+
+    const pointCount = streams[channels[0]].length;
+    const result = downsampleStreams(streams, maxPoints);
+
+    res.json({
+      success: true,
+      rideId: ride._id,
+      type,
+      pointCount,
+      returnedPoints: result[channels[0]].length,
+      streams: result
+    });
+  } catch (error) {
+    console.error('Get ride streams error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching ride streams' 
+    });
+  }
+};
+
+// Export a ride as GPX, TCX, GeoJSON or KML
+exports.exportRide = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const format = String(req.query.format || 'gpx').toLowerCase();
+
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Invalid export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` 
+      });
+    }
+
+    const ride = await Ride.findById(rideId);
+    if (!ride || !await canViewRide(ride, req.user)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    const privacy = await privacyForViewer(ride.userId, req.user.userId);
+    const gpsPath = filterPrivatePoints(await loadRidePath(ride._id), privacy);
+    if (gpsPath.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This ride has no GPS data to export' 
+      });
+    }
+
+    const { filename, contentType, body } = exportRide(ride, gpsPath, format);
+
+    res.attachment(filename);
+    res.type(contentType);
+    res.send(body);
+  } catch (error) {
+    console.error('Export ride error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error exporting ride' 
+    });
+  }
+};
+
+// Update ride (only by owner)
+exports.updateRide = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const userId = req.user.userId;
+    const { rideName, description, visibility } = req.body;
+
+    if (visibility !== undefined && !RIDE_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Visibility must be one of: ${RIDE_VISIBILITIES.join(', ')}` 
+      });
+    }
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    // Check ownership
+    if (ride.userId.toString() !== userId) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to update this ride' 
+      });
+    }
+
+    // Update fields
+    if (rideName) ride.rideName = rideName;
+    if (description !== undefined) ride.description = description;
+    if (visibility !== undefined) ride.visibility = visibility;
+
+    await ride.save();
+
+    res.json({
+      success: true,
+      message: 'Ride updated successfully',
+      ride
+    });
+  } catch (error) {
+    console.error('Update ride error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error updating ride' 
+    });
+  }
+};
+
+// Re-run GPS cleaning on the raw path with new settings (only by owner)
+exports.reprocessRide = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const userId = req.user.userId;
+    const { cleaning } = req.body;
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    // Check ownership
+    if (ride.userId.toString() !== userId) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to reprocess this ride' 
+      });
+    }
+
+    const rawPath = await loadRawPath(ride._id);
+    if (rawPath.length < 2) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This ride has no GPS data to reprocess' 
+      });
+    }
+
+    await rebuildRideTrack(ride, rawPath, cleaning);
+
+    res.json({
+      success: true,
+      message: 'Ride reprocessed successfully',
+      processing: ride.processing,
+      ride
+    });
+  } catch (error) {
+    console.error('Reprocess ride error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error reprocessing ride' 
+    });
+  }
+};
+
+// Crop a ride to a time or distance range, or cut a section out (only by owner)
+// The original track is kept as a backup that can be restored for a while
+exports.cropRide = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const userId = req.user.userId;
+
+    const { range, error } = parseCropRange(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    // Check ownership
+    if (ride.userId.toString() !== userId) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to crop this ride' 
+      });
+    }
+
+    const gpsPath = await loadRidePath(ride._id);
+    const rawPath = await loadRawPath(ride._id);
+    if (gpsPath.length < 2 || rawPath.length < 2) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This ride has no GPS data to crop' 
+      });
+    }
+
+    const cropped = cropTrack(rawPath, resolveCropWindow(gpsPath, range), range.mode);
+    if (cropped.length < 2) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'The cropped ride would have no GPS data left' 
+      });
+    }
+    if (cropped.length === rawPath.length) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'The range does not remove any part of the ride' 
+      });
+    }
+
+    const backup = await createRideBackup(ride, rawPath, 'crop');
+    await rebuildRideTrack(ride, cropped, ride.processing.settings);
+
+    res.json({
+      success: true,
+      message: 'Ride cropped successfully',
+      backup: { id: backup._id, expiresAt: backup.expiresAt },
+      ride
+    });
+  } catch (error) {
+    console.error('Crop ride error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error cropping ride' 
+    });
+  }
+};
+
+// Split a ride in two at a timestamp (only by owner)
+// The ride keeps the part before the split; the rest becomes a new ride.
+// Pending flags are copied to the new ride; media can be moved with moveMedia.
+exports.splitRide = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const userId = req.user.userId;
+    const { at, rideName, moveMedia = [] } = req.body;
+    const splitTime = new Date(at);
+
+    if (!at || isNaN(splitTime.getTime())) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A valid split timestamp (at) is required' 
+      });
+    }
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    // Check ownership
+    if (ride.userId.toString() !== userId) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to split this ride' 
+      });
+    }
+
+    const [firstPath, secondPath] = splitTrack(await loadRawPath(ride._id), splitTime);
+    if (firstPath.length < 2 || secondPath.length < 2) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'The split time must leave GPS data on both sides' 
+      });
+    }
+
+    const segments = partitionSegments(
+      [...ride.segments].sort((a, b) => a.segmentNumber - b.segmentNumber),
+      splitTime
+    );
+    const movedMedia = [].concat(moveMedia);
+
+    const second = new Ride({
+      userId: ride.userId,
+      rideName: rideName || `${ride.rideName} (2)`,
+      description: ride.description,
+      recordedFrom: ride.recordedFrom,
+      isFlagged: ride.isFlagged,
+      visibility: ride.visibility,
+      segments: renumberSegments(segments.second),
+      photos: ride.photos.filter(url => movedMedia.includes(url)),
+      videos: ride.videos.filter(url => movedMedia.includes(url)),
+      energy: { weight: ride.energy.weight }
+    });
+
+    ride.segments = renumberSegments(segments.first);
+    ride.photos = ride.photos.filter(url => !movedMedia.includes(url));
+    ride.videos = ride.videos.filter(url => !movedMedia.includes(url));
+
+    await rebuildRideTrack(ride, firstPath, ride.processing.settings);
+    await rebuildRideTrack(second, secondPath, ride.processing.settings);
+
+    // Both parts stay under review; comments (and reports on them) stay on the original
+    const pendingFlags = await Flag.find({ rideId: ride._id, commentId: null, status: 'pending' }).lean();
+    await Promise.all(pendingFlags.map(({ _id, createdAt, updatedAt, ...flag }) =>
+      Flag.create({ ...flag, rideId: second._id })
+    ));
+
+    res.status(201).json({
+      success: true,
+      message: 'Ride split successfully',
+      rides: [ride, second],
+      droppedSegments: segments.dropped,
+      flagsCopied: pendingFlags.length
+    });
+  } catch (error) {
+    console.error('Split ride error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error splitting ride' 
+    });
+  }
+};
+
+// Merge rides of the same owner into the first one (only by owner)
+// rideIds must be in chronological order and must not overlap.
+// Segments and media are combined; flags and backups move to the merged ride.
+exports.mergeRides = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { rideIds } = req.body;
+
+    if (!Array.isArray(rideIds) || rideIds.length < 2 || new Set(rideIds.map(String)).size !== rideIds.length) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'rideIds must list at least two different rides' 
+      });
+    }
+
+    const found = await Ride.find({ _id: { $in: rideIds } });
+    if (found.length !== rideIds.length) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'One or more rides not found' 
+      });
+    }
+
+    if (found.some(ride => ride.userId.toString() !== userId)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to merge these rides' 
+      });
+    }
+
+    const rides = rideIds.map(id => found.find(ride => ride._id.toString() === String(id)));
+    for (let i = 1; i < rides.length; i++) {
+      if (rides[i].startTime < rides[i - 1].endTime) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Rides must be in chronological order and must not overlap' 
+        });
+      }
+    }
+
+    const paths = await Promise.all(rides.map(ride => loadRawPath(ride._id)));
+    if (paths.some(path => path.length < 2)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Only rides with GPS data can be merged' 
+      });
+    }
+
+    const [target, ...others] = rides;
+    const otherIds = others.map(ride => ride._id);
+
+    target.segments = renumberSegments(rides.flatMap(ride =>
+      [...ride.segments]
+        .sort((a, b) => a.segmentNumber - b.segmentNumber)
+        .map(segment => segment.toObject())
+    ));
+    target.photos = [...new Set(rides.flatMap(ride => ride.photos))];
+    target.videos = [...new Set(rides.flatMap(ride => ride.videos))];
+    target.isFlagged = rides.some(ride => ride.isFlagged);
+    // The merged ride is only as visible as the most restricted part
+    target.visibility = RIDE_VISIBILITIES[Math.max(...rides.map(ride => RIDE_VISIBILITIES.indexOf(ride.visibility)))];
+
+    const earliestDate = new Date(Math.min(...rides.map(ride => ride.activityDate.getTime())));
+
+    // Save the merged track before anything is removed from the other rides
+    await rebuildRideTrack(target, mergeTracks(paths), target.processing.settings);
+
+    // Move everything attached to the other rides, then remove them
+    const { modifiedCount: flagsMoved } = await Flag.updateMany(
+      { rideId: { $in: otherIds } },
+      { rideId: target._id }
+    );
+    await RideBackup.updateMany(
+      { rideId: { $in: otherIds } },
+      { rideId: target._id }
+    );
+    target.set(await moveRideInteractions(otherIds, target._id));
+    for (const id of otherIds) {
+      await clearSegmentEfforts(id);
+    }
+    await deleteRideStreams(otherIds);
+    await Ride.deleteMany({ _id: { $in: otherIds } });
+
+    // The rebuild counted the other rides too
+    await recalculateUserStats(userId);
+    await recalculateWeeklyStats(userId);
+    await updateTrainingLoad(userId, earliestDate);
+
+    res.json({
+      success: true,
+      message: `${rides.length} rides merged successfully`,
+      ride: target,
+      mergedRideIds: otherIds,
+      flagsMoved
+    });
+  } catch (error) {
+    console.error('Merge rides error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error merging rides' 
+    });
+  }
+};
+
+// List the restorable backups of a ride (only by owner)
+exports.getRideBackups = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const userId = req.user.userId;
+
+    const ride = await Ride.findById(rideId).select('userId');
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    // Check ownership
+    if (ride.userId.toString() !== userId) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to view backups of this ride' 
+      });
+    }
+
+    const backups = await RideBackup.find({ rideId, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .select('-cleaning');
+
+    res.json({
+      success: true,
+      backups
+    });
+  } catch (error) {
+    console.error('Get ride backups error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching ride backups' 
+    });
+  }
+};
+
+// Put a backed-up track back on a ride (only by owner)
+// The track being replaced is itself backed up, so a restore can be undone
+exports.restoreRideBackup = async (req, res) => {
+  try {
+    const { rideId, backupId } = req.params;
+    const userId = req.user.userId;
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    // Check ownership
+    if (ride.userId.toString() !== userId) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to restore this ride' 
+      });
+    }
+
+    const backup = await RideBackup.findOne({ _id: backupId, rideId, expiresAt: { $gt: new Date() } });
+    if (!backup) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Backup not found or expired' 
+      });
+    }
+
+    const backupPath = await loadBackupPath(backup._id);
+    if (backupPath.length < 2) {
+      return res.status(410).json({ 
+        success: false, 
+        message: 'Backup data is no longer available' 
+      });
+    }
+
+    const current = await createRideBackup(ride, await loadRawPath(ride._id), 'restore');
+    await rebuildRideTrack(ride, backupPath, backup.cleaning);
+    await deleteRideBackups({ _id: backup._id });
+
+    res.json({
+      success: true,
+      message: 'Ride restored successfully',
+      backup: { id: current._id, expiresAt: current.expiresAt },
+      ride
+    });
+  } catch (error) {
+    console.error('Restore ride backup error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error restoring ride' 
+    });
+  }
+};
+
+// Delete ride (only by owner)
+exports.deleteRide = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const userId = req.user.userId;
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    // Check ownership
+    if (ride.userId.toString() !== userId) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to delete this ride' 
+      });
+    }
+
+    // Delete ride with its streams, backups, segment efforts, kudos and comments
+    await deleteRideAndData(ride);
+
+    res.json({
+      success: true,
+      message: 'Ride deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete ride error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error deleting ride' 
+    });
+  }
+};
+
+// Flag a ride
+exports.flagRide = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const userId = req.user.userId;
+    const { reason } = req.body;
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
 
-    // Calculate coins: (Distance × Average Speed) / 2
-    const coinsEarned = Math.round((distance * averageSpeed) / 2);
-
-    // Create ride
-    const ride = new Ride({
-      userId,
-      rideName: rideName || 'Unnamed Ride',
-      description: description || '',
-      distance,
-      elapsedTime,
-      movingTime,
-      averageSpeed,
-      maxSpeed,
-      totalElevation: totalElevation || 0,
-      elevationGained: elevationGained || 0,
-      gpsPath: gpsPath || [],
-      segments: segments || [],
-      coinsEarned,
-      recordedFrom: recordedFrom || 'Mobile',
-      startTime: startTime || new Date(),
-      endTime: endTime || new Date(),
-      activityDate: new Date(),
-      photos: [],
-      videos: []
+    // Check if already flagged by this user - FIXED: using reportedBy
+    const existingFlag = await Flag.findOne({ rideId, commentId: null, reportedBy: userId });
+    if (existingFlag) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You have already flagged this ride' 
+      });
+    }
+
+    // Create flag - FIXED: using reportedBy
+    const flag = new Flag({
+      rideId,
+      reportedBy: userId,
+      reason: reason || 'No reason provided'
     });
 
-    await ride.save();
+    await flag.save();
 
-    // Update user's total coins
-    await User.findByIdAndUpdate(userId, {
-      $inc: { totalCoins: coinsEarned }
-    });
+    // Mark ride as flagged
+    ride.isFlagged = true;
+    await ride.save();
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Ride created successfully',
-      ride,
-      coinsEarned
+      message: 'Ride flagged successfully'
     });
   } catch (error) {
-    console.error('Create ride error:', error);
+    console.error('Flag ride error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error creating ride' 
+      message: 'Server error flagging ride' 
     });
   }
 };
 
-// Get logged-in user's own rides
-exports.getMyRides = async (req, res) => {
+// Give or take back kudos on a ride
+exports.toggleKudos = async (req, res) => {
   try {
+    const { rideId } = req.params;
     const userId = req.user.userId;
-    const { search, page = 1, limit = 20, sortBy = 'date' } = req.query;
-    const skip = (page - 1) * limit;
 
-    let query = { userId };
-
-    // Add search functionality
-    if (search) {
-      query.rideName = { $regex: search, $options: 'i' };
+    const ride = await Ride.findById(rideId).select('userId visibility');
+    if (!ride || !await canViewRide(ride, req.user)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
     }
 
-    // Determine sort order
-    let sort = {};
-    if (sortBy === 'date') sort.createdAt = -1;
-    else if (sortBy === 'distance') sort.distance = -1;
-    else if (sortBy === 'time') sort.elapsedTime = -1;
-    else if (sortBy === 'coins') sort.coinsEarned = -1;
+    if (ride.userId.toString() === userId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You cannot give kudos to your own ride' 
+      });
+    }
 
-    const rides = await Ride.find(query)
-      .sort(sort)
-      .limit(parseInt(limit))
-      .skip(skip)
-      .select('rideName distance elapsedTime activityDate coinsEarned averageSpeed maxSpeed elevationGained');
+    let kudoed = true;
+    let change = 0;
+    if (await Kudos.findOneAndDelete({ rideId, userId })) {
+      kudoed = false;
+      change = -1;
+    } else {
+      try {
+        await Kudos.create({ rideId, userId });
+        change = 1;
+      } catch (error) {
+        // A parallel request already gave kudos (and counted it)
+        if (error.code !== 11000) throw error;
+      }
+    }
 
-    const total = await Ride.countDocuments(query);
+    const updated = await Ride.findByIdAndUpdate(
+      rideId,
+      { $inc: { kudosCount: change } },
+      { new: true }
+    ).select('kudosCount');
 
     res.json({
       success: true,
-      rides,
-      pagination: {
-        total,
-        page: parseInt(page),
-        pages: Math.ceil(total / limit)
-      }
+      message: kudoed ? 'Kudos given' : 'Kudos removed',
+      kudoed,
+      kudosCount: updated.kudosCount
     });
   } catch (error) {
-    console.error('Get my rides error:', error);
+    console.error('Toggle kudos error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error fetching your rides' 
+      message: 'Server error updating kudos' 
     });
   }
 };
 
-// Get rides by user ID (public)
-exports.getUserRides = async (req, res) => {
+// Get the users who gave a ride kudos (blocked accounts left out)
+exports.getRideKudos = async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { rideId } = req.params;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.max(1, parseInt(req.query.limit) || 20);
 
-    const rides = await Ride.find({ userId })
-      .sort({ activityDate: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .select('rideName distance elapsedTime activityDate coinsEarned');
+    const ride = await Ride.findById(rideId).select('userId visibility');
+    if (!ride || !await canViewRide(ride, req.user)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    const blockedIds = await User.find({ isBlocked: true }).distinct('_id');
+    const query = { rideId, userId: { $nin: blockedIds } };
+
+    const kudos = await Kudos.find(query)
+      .populate('userId', 'name city')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
 
-    const total = await Ride.countDocuments({ userId });
+    const total = await Kudos.countDocuments(query);
 
     res.json({
       success: true,
-      rides,
+      users: kudos.filter(entry => entry.userId).map(entry => ({
+        id: entry.userId._id,
+        name: entry.userId.name,
+        city: entry.userId.city,
+        givenAt: entry.createdAt
+      })),
       pagination: {
         total,
-        page: parseInt(page),
+        page,
         pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
-    console.error('Get user rides error:', error);
+    console.error('Get ride kudos error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error fetching rides' 
+      message: 'Server error fetching kudos' 
     });
   }
 };
 
-// Search rides by name
-exports.searchRides = async (req, res) => {
+// Get a ride's comments, oldest first, with replies nested under each
+// Paginated by top-level comment; blocked accounts are left out
+exports.getRideComments = async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const { query, ownOnly = 'false', limit = 20 } = req.query;
+    const { rideId } = req.params;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.max(1, parseInt(req.query.limit) || 20);
 
-    if (!query) {
-      return res.status(400).json({ 
+    const ride = await Ride.findById(rideId).select('userId visibility');
+    if (!ride || !await canViewRide(ride, req.user)) {
+      return res.status(404).json({ 
         success: false, 
-        message: 'Search query is required' 
+        message: 'Ride not found' 
       });
     }
 
-    let searchQuery = {
-      rideName: { $regex: query, $options: 'i' }
-    };
+    const blockedIds = await User.find({ isBlocked: true }).distinct('_id');
+    const query = { rideId, parentId: null, userId: { $nin: blockedIds } };
 
-    // If ownOnly is true, filter by current user
-    if (ownOnly === 'true') {
-      searchQuery.userId = userId;
-    }
+    const comments = await Comment.find(query)
+      .populate('userId', 'name city')
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
 
-    const rides = await Ride.find(searchQuery)
+    const replies = await Comment.find({
+      parentId: { $in: comments.map(comment => comment._id) },
+      userId: { $nin: blockedIds }
+    })
       .populate('userId', 'name city')
-      .sort({ activityDate: -1 })
-      .limit(parseInt(limit))
-      .select('rideName distance elapsedTime activityDate coinsEarned userId');
+      .sort({ createdAt: 1 });
+
+    const total = await Comment.countDocuments(query);
 
     res.json({
       success: true,
-      rides,
-      count: rides.length
+      comments: comments.map(comment => formatComment(
+        comment,
+        replies.filter(reply => reply.parentId.equals(comment._id))
+      )),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
     });
   } catch (error) {
-    console.error('Search rides error:', error);
+    console.error('Get ride comments error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error searching rides' 
+      message: 'Server error fetching comments' 
     });
   }
 };
 
-// Get single ride details
-exports.getRideById = async (req, res) => {
+// Comment on a ride, or reply to a comment with parentId
+// Replies to replies join the same thread
+exports.addComment = async (req, res) => {
   try {
     const { rideId } = req.params;
+    const userId = req.user.userId;
+    const { text, parentId } = req.body;
 
-    const ride = await Ride.findById(rideId).populate('userId', 'name city');
-    if (!ride) {
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Comment text is required' 
+      });
+    }
+
+    const ride = await Ride.findById(rideId).select('userId visibility');
+    if (!ride || !await canViewRide(ride, req.user)) {
       return res.status(404).json({ 
         success: false, 
         message: 'Ride not found' 
       });
     }
 
-    res.json({
+    let threadId = null;
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, rideId }).select('parentId');
+      if (!parent) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Comment to reply to not found' 
+        });
+      }
+      threadId = parent.parentId || parent._id;
+    }
+
+    const comment = await Comment.create({ rideId, userId, parentId: threadId, text });
+    await Ride.updateOne({ _id: rideId }, { $inc: { commentCount: 1 } });
+    await comment.populate('userId', 'name city');
+
+    res.status(201).json({
       success: true,
-      ride
+      message: 'Comment added successfully',
+      comment: formatComment(comment)
     });
   } catch (error) {
-    console.error('Get ride by ID error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error('Add comment error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error fetching ride' 
+      message: 'Server error adding comment' 
     });
   }
 };
 
-// Update ride (only by owner)
-exports.updateRide = async (req, res) => {
+// Edit a comment (only by its author)
+exports.updateComment = async (req, res) => {
   try {
-    const { rideId } = req.params;
+    const { rideId, commentId } = req.params;
     const userId = req.user.userId;
-    const { rideName, description } = req.body;
+    const { text } = req.body;
 
-    const ride = await Ride.findById(rideId);
-    if (!ride) {
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Comment text is required' 
+      });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, rideId });
+    if (!comment) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Ride not found' 
+        message: 'Comment not found' 
       });
     }
 
-    // Check ownership
-    if (ride.userId.toString() !== userId) {
+    if (comment.userId.toString() !== userId) {
       return res.status(403).json({ 
         success: false, 
-        message: 'Not authorized to update this ride' 
+        message: 'Not authorized to edit this comment' 
       });
     }
 
-    // Update fields
-    if (rideName) ride.rideName = rideName;
-    if (description !== undefined) ride.description = description;
-
-    await ride.save();
+    comment.text = text;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('userId', 'name city');
 
     res.json({
       success: true,
-      message: 'Ride updated successfully',
-      ride
+      message: 'Comment updated successfully',
+      comment: formatComment(comment)
     });
   } catch (error) {
-    console.error('Update ride error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error('Update comment error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error updating ride' 
+      message: 'Server error updating comment' 
     });
   }
 };
 
-// Delete ride (only by owner)
-exports.deleteRide = async (req, res) => {
+// Delete a comment and its replies (by its author or the ride owner)
+exports.deleteComment = async (req, res) => {
   try {
-    const { rideId } = req.params;
+    const { rideId, commentId } = req.params;
     const userId = req.user.userId;
 
-    const ride = await Ride.findById(rideId);
-    if (!ride) {
+    const comment = await Comment.findOne({ _id: commentId, rideId }).select('userId');
+    if (!comment) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Ride not found' 
+        message: 'Comment not found' 
       });
     }
 
-    // Check ownership
-    if (ride.userId.toString() !== userId) {
+    const ride = await Ride.findById(rideId).select('userId');
+    const isOwner = ride && ride.userId.toString() === userId;
+    if (comment.userId.toString() !== userId && !isOwner) {
       return res.status(403).json({ 
         success: false, 
-        message: 'Not authorized to delete this ride' 
+        message: 'Not authorized to delete this comment' 
       });
     }
 
-    // Deduct coins from user
-    await User.findByIdAndUpdate(userId, {
-      $inc: { totalCoins: -ride.coinsEarned }
-    });
-
-    // Delete ride
-    await Ride.findByIdAndDelete(rideId);
+    const deleted = await deleteComments({ _id: comment._id });
 
     res.json({
       success: true,
-      message: 'Ride deleted successfully'
+      message: 'Comment deleted successfully',
+      deletedCount: deleted.length
     });
   } catch (error) {
-    console.error('Delete ride error:', error);
+    console.error('Delete comment error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error deleting ride' 
+      message: 'Server error deleting comment' 
     });
   }
 };
 
-// Flag a ride
-exports.flagRide = async (req, res) => {
+// Report a comment for admin review
+exports.flagComment = async (req, res) => {
   try {
-    const { rideId } = req.params;
+    const { rideId, commentId } = req.params;
     const userId = req.user.userId;
     const { reason } = req.body;
 
-    const ride = await Ride.findById(rideId);
-    if (!ride) {
+    const ride = await Ride.findById(rideId).select('userId visibility');
+    if (!ride || !await canViewRide(ride, req.user)) {
       return res.status(404).json({ 
         success: false, 
         message: 'Ride not found' 
       });
     }
 
-    // Check if already flagged by this user - FIXED: using reportedBy
-    const existingFlag = await Flag.findOne({ rideId, reportedBy: userId });
+    const comment = await Comment.findOne({ _id: commentId, rideId }).select('_id');
+    if (!comment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Comment not found' 
+      });
+    }
+
+    const existingFlag = await Flag.findOne({ commentId, reportedBy: userId });
     if (existingFlag) {
       return res.status(400).json({ 
         success: false, 
-        message: 'You have already flagged this ride' 
+        message: 'You have already reported this comment' 
       });
     }
 
-    // Create flag - FIXED: using reportedBy
-    const flag = new Flag({
+    await Flag.create({
       rideId,
+      commentId,
       reportedBy: userId,
       reason: reason || 'No reason provided'
     });
 
-    await flag.save();
-
-    // Mark ride as flagged
-    ride.isFlagged = true;
-    await ride.save();
-
     res.json({
       success: true,
-      message: 'Ride flagged successfully'
+      message: 'Comment reported successfully'
     });
   } catch (error) {
-    console.error('Flag ride error:', error);
+    console.error('Flag comment error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error flagging ride' 
+      message: 'Server error reporting comment' 
     });
   }
 };
@@ -414,6 +1973,74 @@ exports.addSegment = async (req, res) => {
   }
 };
 
+// Save auto-laps of a given distance as segments (only by owner)
+// New segments are numbered after the ride's existing ones
+exports.addAutoLapSegments = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+    const userId = req.user.userId;
+    const splitDistance = parseSplitDistance(req.body.splitDistance);
+
+    if (splitDistance === null) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `splitDistance must be between ${MIN_SPLIT_DISTANCE} and ${MAX_SPLIT_DISTANCE} km` 
+      });
+    }
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ride not found' 
+      });
+    }
+
+    // Check ownership
+    if (ride.userId.toString() !== userId) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to add segments to this ride' 
+      });
+    }
+
+    const splits = computeSplits(await loadRidePath(ride._id), splitDistance, ride.pauses);
+    if (splits.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This ride has no GPS data to split' 
+      });
+    }
+
+    const lastNumber = ride.segments.reduce((max, segment) => Math.max(max, segment.segmentNumber), 0);
+    const newSegments = splits.map((split, i) => ({
+      segmentNumber: lastNumber + i + 1,
+      segmentName: `${splitDistance} km lap ${split.splitNumber}`,
+      segmentDistance: split.distance,
+      segmentTime: split.movingTime,
+      segmentAverageSpeed: split.averageSpeed,
+      segmentStartTime: split.startTime,
+      segmentEndTime: split.endTime
+    }));
+
+    ride.segments.push(...newSegments);
+    await ride.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${newSegments.length} lap segments added successfully`,
+      segments: ride.segments.slice(-newSegments.length),
+      ride
+    });
+  } catch (error) {
+    console.error('Add auto-lap segments error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error adding lap segments' 
+    });
+  }
+};
+
 // Upload photos/videos to ride
 exports.uploadMedia = async (req, res) => {
   try {
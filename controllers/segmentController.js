@@ -0,0 +1,409 @@
+const mongoose = require('mongoose');
+const Segment = require('../models/Segment');
+const SegmentEffort = require('../models/SegmentEffort');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { buildSegmentGeometry, recordSegmentEfforts, DEFAULT_GATE_RADIUS } = require('../utils/segmentMatcher');
+const { loadRidePath } = require('../utils/rideStreams');
+const { visibleRidesFilter, reviewedRidesFilter, canViewRide } = require('../utils/rideVisibility');
+const { getFollowingIds } = require('../utils/follows');
+const { enqueueJob } = require('../utils/jobRunner');
+
+// Shortest segment that can be created (km)
+const MIN_SEGMENT_DISTANCE = 0.1;
+
+// Page sizes for segment lists and leaderboards
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+// Leaderboard filters
+const LEADERBOARD_PERIODS = ['all', 'year', 'month'];
+const LEADERBOARD_GENDERS = ['Male', 'Female'];
+const AGE_BRACKETS = {
+  '13-19': [13, 19],
+  '20-29': [20, 29],
+  '30-39': [30, 39],
+  '40-49': [40, 49],
+  '50-59': [50, 59],
+  '60-69': [60, 69],
+  '70+': [70, 120]
+};
+
+// Build the effort and user filters for a segment leaderboard
+// Returns { error } when a query parameter is invalid
+const buildLeaderboardFilters = async (query, userId) => {
+  const { period = 'all', gender, ageGroup, city, following } = query;
+  const effortFilter = {};
+  const userFilter = { 'user.isBlocked': false };
+
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    return { error: `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}` };
+  }
+  const now = new Date();
+  if (period === 'year') {
+    effortFilter.activityDate = { $gte: new Date(now.getFullYear(), 0, 1) };
+  } else if (period === 'month') {
+    effortFilter.activityDate = { $gte: new Date(now.getFullYear(), now.getMonth(), 1) };
+  }
+
+  if (gender) {
+    const sex = LEADERBOARD_GENDERS.find(value => value.toLowerCase() === gender.toLowerCase());
+    if (!sex) {
+      return { error: `gender must be one of: ${LEADERBOARD_GENDERS.join(', ')}` };
+    }
+    userFilter['user.sex'] = sex;
+  }
+
+  if (ageGroup) {
+    const bracket = AGE_BRACKETS[ageGroup];
+    if (!bracket) {
+      return { error: `ageGroup must be one of: ${Object.keys(AGE_BRACKETS).join(', ')}` };
+    }
+    userFilter['user.age'] = { $gte: bracket[0], $lte: bracket[1] };
+  }
+
+  if (city) {
+    userFilter['user.city'] = { $regex: city, $options: 'i' };
+  }
+
+  // Riders the user follows, plus the user
+  if (following === 'true') {
+    const followingIds = await getFollowingIds(userId);
+    userFilter['user._id'] = { $in: [...followingIds, new mongoose.Types.ObjectId(userId)] };
+  }
+
+  return { effortFilter, userFilter };
+};
+
+// Shape one ranked leaderboard row for the response
+const formatLeaderboardEntry = (entry) => ({
+  rank: entry.rank,
+  user: {
+    id: entry.user._id,
+    name: entry.user.name,
+    city: entry.user.city
+  },
+  elapsedTime: entry.elapsedTime,
+  activityDate: entry.activityDate,
+  ride: {
+    id: entry.rideId,
+    link: `/api/rides/${entry.rideId}`
+  }
+});
+
+// Create a segment from a portion of one of the user's rides
+exports.createSegment = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { rideId, name, gateRadius } = req.body;
+    const startIndex = parseInt(req.body.startIndex);
+    const endIndex = parseInt(req.body.endIndex);
+
+    if (!rideId || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ride ID and segment name are required'
+      });
+    }
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    // Check ownership
+    if (ride.userId.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Segments can only be created from your own rides'
+      });
+    }
+
+    const gpsPath = await loadRidePath(ride._id);
+    if (
+      Number.isNaN(startIndex) || Number.isNaN(endIndex) ||
+      startIndex < 0 || endIndex >= gpsPath.length || endIndex <= startIndex
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `startIndex and endIndex must select a range within the ride's ${gpsPath.length} GPS points`
+      });
+    }
+
+    const radius = parseFloat(gateRadius) || DEFAULT_GATE_RADIUS;
+    const geometry = buildSegmentGeometry(gpsPath.slice(startIndex, endIndex + 1), radius);
+
+    if (geometry.distance < MIN_SEGMENT_DISTANCE) {
+      return res.status(400).json({
+        success: false,
+        message: `Segment must be at least ${MIN_SEGMENT_DISTANCE * 1000} m long`
+      });
+    }
+
+    const segment = await Segment.create({
+      name,
+      createdBy: userId,
+      sourceRideId: ride._id,
+      ...geometry
+    });
+
+    // The source ride is the segment's first effort
+    const efforts = await recordSegmentEfforts(ride, gpsPath, [segment]);
+
+    // Existing rides along the segment are matched in the background
+    const job = await enqueueJob('MATCH_SEGMENT', userId, { segmentId: segment._id.toString() });
+
+    res.status(201).json({
+      success: true,
+      message: 'Segment created successfully',
+      segment,
+      efforts,
+      job: { id: job._id, status: job.status }
+    });
+  } catch (error) {
+    console.error('Create segment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating segment'
+    });
+  }
+};
+
+// Get logged-in user's segments
+exports.getMySegments = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT));
+    const skip = (page - 1) * limit;
+
+    const segments = await Segment.find({ createdBy: userId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip)
+      .select('name distance elevationGain averageGrade effortCount createdAt');
+
+    const total = await Segment.countDocuments({ createdBy: userId });
+
+    res.json({
+      success: true,
+      segments,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get my segments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching segments'
+    });
+  }
+};
+
+// Get single segment details
+exports.getSegmentById = async (req, res) => {
+  try {
+    const { segmentId } = req.params;
+
+    const segment = await Segment.findById(segmentId).populate('createdBy', 'name city');
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      segment
+    });
+  } catch (error) {
+    console.error('Get segment by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching segment'
+    });
+  }
+};
+
+// Get segment efforts recorded on a ride
+exports.getRideSegmentEfforts = async (req, res) => {
+  try {
+    const { rideId } = req.params;
+
+    const ride = await Ride.findById(rideId).select('userId visibility');
+    if (!ride || !await canViewRide(ride, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    // Stream indexes only line up with the owner's unfiltered stream
+    const efforts = await SegmentEffort.find({ rideId })
+      .populate('segmentId', 'name distance elevationGain averageGrade')
+      .sort({ startTime: 1 })
+      .select(ride.userId.toString() === req.user.userId ? '' : '-startIndex -endIndex');
+
+    res.json({
+      success: true,
+      efforts,
+      count: efforts.length
+    });
+  } catch (error) {
+    console.error('Get ride segment efforts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching segment efforts'
+    });
+  }
+};
+
+// Get segment leaderboard (each rider's fastest effort)
+exports.getSegmentLeaderboard = async (req, res) => {
+  try {
+    const { segmentId } = req.params;
+    const userId = req.user.userId;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT));
+    const skip = (page - 1) * limit;
+
+    const segment = await Segment.findById(segmentId).select('name distance');
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    const filters = await buildLeaderboardFilters(req.query, userId);
+    if (filters.error) {
+      return res.status(400).json({
+        success: false,
+        message: filters.error
+      });
+    }
+
+    const [result] = await SegmentEffort.aggregate([
+      { $match: { segmentId: segment._id, ...filters.effortFilter } },
+      // Efforts on rides the user can't see, or on other riders' rides held for review, don't count
+      {
+        $lookup: {
+          from: Ride.collection.name,
+          localField: 'rideId',
+          foreignField: '_id',
+          pipeline: [{ $project: { userId: 1, visibility: 1, isFlagged: 1 } }],
+          as: 'ride'
+        }
+      },
+      { $unwind: '$ride' },
+      { $match: { $and: [await visibleRidesFilter(req.user, 'ride.'), reviewedRidesFilter(userId, 'ride.')] } },
+      // Keep only each rider's fastest effort
+      { $sort: { elapsedTime: 1, startTime: 1 } },
+      {
+        $group: {
+          _id: '$userId',
+          elapsedTime: { $first: '$elapsedTime' },
+          activityDate: { $first: '$activityDate' },
+          rideId: { $first: '$rideId' }
+        }
+      },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      { $unwind: '$user' },
+      { $match: filters.userFilter },
+      {
+        $setWindowFields: {
+          sortBy: { elapsedTime: 1 },
+          output: { rank: { $rank: {} } }
+        }
+      },
+      {
+        $facet: {
+          entries: [
+            { $sort: { rank: 1, activityDate: 1 } },
+            { $skip: skip },
+            { $limit: limit }
+          ],
+          total: [{ $count: 'count' }],
+          currentUser: [{ $match: { _id: new mongoose.Types.ObjectId(userId) } }]
+        }
+      }
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      segment: {
+        id: segment._id,
+        name: segment.name,
+        distance: segment.distance
+      },
+      leaderboard: result.entries.map(formatLeaderboardEntry),
+      // Requesting user's own placing, even when outside this page
+      currentUser: result.currentUser.length > 0 ? formatLeaderboardEntry(result.currentUser[0]) : null,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get segment leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching segment leaderboard'
+    });
+  }
+};
+
+// Delete segment (only by creator)
+exports.deleteSegment = async (req, res) => {
+  try {
+    const { segmentId } = req.params;
+    const userId = req.user.userId;
+
+    const segment = await Segment.findById(segmentId);
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    // Check ownership
+    if (segment.createdBy.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this segment'
+      });
+    }
+
+    await SegmentEffort.deleteMany({ segmentId });
+    await Segment.findByIdAndDelete(segmentId);
+
+    res.json({
+      success: true,
+      message: 'Segment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete segment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting segment'
+    });
+  }
+};
@@ -1,8 +1,17 @@
 const User = require('../models/User');
 const Ride = require('../models/Ride');
 const WeeklyStats = require('../models/WeeklyStats');
-const { getWeeklyGraphData: fetchWeeklyGraphData } = require('../utils/calculateStats');
+const { getWeeklyGraphData: fetchWeeklyGraphData, getTrainingLoadSeries } = require('../utils/calculateStats');
 const { sendSuccess, sendError } = require('../utils/helpers');
+const { BEST_EFFORT_DISTANCES } = require('../utils/bestEfforts');
+const { visibleRidesFilter, canViewRide } = require('../utils/rideVisibility');
+
+// Longest training load series that can be requested (days)
+const MAX_FITNESS_DAYS = 730;
+
+// Climb fields the biggest climbs list can be ordered by
+const CLIMB_SORT_FIELDS = ['elevationGain', 'distance', 'averageGradient', 'maxGradient', 'vam'];
+const MAX_CLIMBS = 50;
 
 /**
  * @desc    Get user statistics
@@ -84,7 +93,7 @@ const getWeeklyGraphData = async (req, res) => {
 };
 
 /**
- * @desc    Get best efforts
+ * @desc    Get best efforts with the ride and GPS slice each was set on
  * @route   GET /api/stats/best-efforts/:userId
  * @access  Private
  */
@@ -92,20 +101,36 @@ const getBestEfforts = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId).select('best10kmTime best20kmTime best25kmTime best50kmTime best75kmTime best100kmTime');
+    const user = await User.findById(userId)
+      .select('bestEfforts')
+      .populate('bestEfforts.rideId', 'userId visibility rideName activityDate');
 
     if (!user) {
       return sendError(res, 404, 'User not found');
     }
 
-    const bestEfforts = {
-      '10km': user.best10kmTime,
-      '20km': user.best20kmTime,
-      '25km': user.best25kmTime,
-      '50km': user.best50kmTime,
-      '75km': user.best75kmTime,
-      '100km': user.best100kmTime
-    };
+    const bestEfforts = {};
+    for (const distance of BEST_EFFORT_DISTANCES) {
+      const effort = user.bestEfforts.find(record => record.distance === distance);
+
+      // Times always count; the ride is only linked if the user may see it
+      bestEfforts[`${distance}km`] = effort && effort.rideId
+        ? {
+          time: effort.time,
+          ride: await canViewRide(effort.rideId, req.user)
+            ? {
+              id: effort.rideId._id,
+              rideName: effort.rideId.rideName,
+              activityDate: effort.rideId.activityDate
+            }
+            : null,
+          // Stream indexes only line up with the owner's unfiltered stream
+          ...(req.user.userId === userId ? { startIndex: effort.startIndex, endIndex: effort.endIndex } : {}),
+          startTime: effort.startTime,
+          endTime: effort.endTime
+        }
+        : null;
+    }
 
     sendSuccess(res, 200, 'Best efforts retrieved successfully', bestEfforts);
   } catch (error) {
@@ -172,6 +197,8 @@ const getYearSummary = async (req, res) => {
       totalDistance: user.distanceThisYear,
       totalCoins: rides.reduce((sum, ride) => sum + ride.coinsEarned, 0),
       totalMovingTime: rides.reduce((sum, ride) => sum + ride.movingTime, 0),
+      totalKilojoules: rides.reduce((sum, ride) => sum + (ride.energy.kilojoules || 0), 0),
+      totalCalories: rides.reduce((sum, ride) => sum + (ride.energy.calories || 0), 0),
       averageDistance: rides.length > 0 ? user.distanceThisYear / rides.length : 0,
       longestRide: Math.max(...rides.map(r => r.distance), 0)
     };
@@ -183,11 +210,97 @@ const getYearSummary = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get daily fitness (CTL), fatigue (ATL) and form (TSB)
+ * @route   GET /api/stats/fitness/:userId?days=90
+ * @access  Private
+ */
+const getFitness = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const days = req.query.days === undefined ? 90 : parseInt(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_FITNESS_DAYS) {
+      return sendError(res, 400, `days must be between 1 and ${MAX_FITNESS_DAYS}`);
+    }
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    const series = await getTrainingLoadSeries(userId, days);
+    const today = series[series.length - 1];
+
+    sendSuccess(res, 200, 'Fitness data retrieved successfully', {
+      days,
+      current: {
+        fitness: today.ctl,
+        fatigue: today.atl,
+        form: today.tsb
+      },
+      series
+    });
+  } catch (error) {
+    console.error('Error getting fitness data:', error);
+    sendError(res, 500, 'Error retrieving fitness data');
+  }
+};
+
+/**
+ * @desc    Get a user's biggest climbs across all rides
+ * @route   GET /api/stats/climbs/:userId?sort=elevationGain&limit=10&category=
+ * @access  Private
+ */
+const getBiggestClimbs = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { sort = 'elevationGain', category } = req.query;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 10, MAX_CLIMBS));
+
+    if (!CLIMB_SORT_FIELDS.includes(sort)) {
+      return sendError(res, 400, `sort must be one of: ${CLIMB_SORT_FIELDS.join(', ')}`);
+    }
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    const climbMatch = category ? { 'climbs.category': String(category).toUpperCase() } : {};
+
+    const climbs = await Ride.aggregate([
+      { $match: { userId: user._id, 'climbs.0': { $exists: true }, ...await visibleRidesFilter(req.user) } },
+      { $project: { rideName: 1, activityDate: 1, climbs: 1 } },
+      { $unwind: '$climbs' },
+      { $match: climbMatch },
+      { $sort: { [`climbs.${sort}`]: -1, activityDate: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          ride: { id: '$_id', rideName: '$rideName', activityDate: '$activityDate' },
+          climb: '$climbs'
+        }
+      },
+      // Stream indexes only line up with the owner's unfiltered stream
+      ...(req.user.userId === userId ? [] : [{ $unset: ['climb.startIndex', 'climb.endIndex'] }])
+    ]);
+
+    sendSuccess(res, 200, 'Biggest climbs retrieved successfully', climbs);
+  } catch (error) {
+    console.error('Error getting biggest climbs:', error);
+    sendError(res, 500, 'Error retrieving biggest climbs');
+  }
+};
+
 module.exports = {
   getUserStats,
   getWeeklyStats,
   getWeeklyGraphData,
   getBestEfforts,
   getLongestRides,
-  getYearSummary
+  getYearSummary,
+  getFitness,
+  getBiggestClimbs
 };
\ No newline at end of file
@@ -1,12 +1,38 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Ride = require('../models/Ride');
+const WeeklyStats = require('../models/WeeklyStats');
+const DailyTrainingLoad = require('../models/DailyTrainingLoad');
+const Job = require('../models/Job');
+const Follow = require('../models/Follow');
+const { clearUserSegmentEfforts } = require('../utils/segmentMatcher');
+const { deleteRideStreams } = require('../utils/rideStreams');
+const { deleteRideBackups } = require('../utils/rideBackups');
+const { resolveZoneSettings, buildHeartRateZones, buildPowerZones } = require('../utils/trainingZones');
+const { enqueueJob } = require('../utils/jobRunner');
+const { getFollowCounts, listFollowUsers } = require('../utils/follows');
+const { deleteUserInteractions, deleteRideInteractions } = require('../utils/rideInteractions');
+
+// Zone settings a user can set (null resets to the profile-based default)
+const ZONE_SETTING_FIELDS = ['maxHeartRate', 'thresholdHeartRate', 'ftp'];
+
+// Describe a user's zone settings and the zones they produce
+const formatZoneSettings = (user) => {
+  const settings = resolveZoneSettings(user);
+  return {
+    settings,
+    heartRateZones: buildHeartRateZones(settings),
+    powerZones: buildPowerZones(settings)
+  };
+};
 
 // Get user profile by userId (for viewing other users)
 exports.getUserProfile = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId).select('-password -email');
+    // Zones and hidden distances would give away where the user lives
+    const user = await User.findById(userId).select('-password -email -privacy.zones -privacy.hideEndpoints');
     if (!user) {
       return res.status(404).json({ 
         success: false, 
@@ -22,9 +48,14 @@ exports.getUserProfile = async (req, res) => {
       });
     }
 
+    // Requesting user's follow of this user, if any
+    const follow = await Follow.findOne({ follower: req.user.userId, following: userId }).select('status');
+
     res.json({
       success: true,
-      user
+      user,
+      followCounts: await getFollowCounts(userId),
+      followStatus: follow ? follow.status : null
     });
   } catch (error) {
     console.error('Get user profile error:', error);
@@ -50,7 +81,8 @@ exports.getProfile = async (req, res) => {
 
     res.json({
       success: true,
-      user
+      user,
+      followCounts: await getFollowCounts(userId)
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -62,10 +94,11 @@ exports.getProfile = async (req, res) => {
 };
 
 // Update user profile
+// Ride energy estimates keep the weight they were made with unless recalculateEnergy is set
 exports.updateProfile = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { name, age, sex, height, weight, city } = req.body;
+    const { name, age, sex, height, weight, city, recalculateEnergy } = req.body;
 
     const updateData = {};
     if (name) updateData.name = name;
@@ -88,10 +121,15 @@ exports.updateProfile = async (req, res) => {
       });
     }
 
+    const job = recalculateEnergy === true || recalculateEnergy === 'true'
+      ? await enqueueJob('RECALCULATE_ENERGY', userId)
+      : null;
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
-      user
+      user,
+      job: job ? { id: job._id, status: job.status } : null
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -102,6 +140,502 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// Get own training zone settings and zone boundaries
+exports.getZoneSettings = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const user = await User.findById(userId).select('age weight zoneSettings');
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      zones: formatZoneSettings(user)
+    });
+  } catch (error) {
+    console.error('Get zone settings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching zone settings' 
+    });
+  }
+};
+
+// Update own training zone settings
+// Historical rides are recalculated in the background unless recalculate is false
+exports.updateZoneSettings = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { recalculate = true } = req.body;
+
+    const updateData = {};
+    ZONE_SETTING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[`zoneSettings.${field}`] = req.body[field] === null ? null : parseFloat(req.body[field]);
+      }
+    });
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Provide at least one of: ${ZONE_SETTING_FIELDS.join(', ')}` 
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      updateData,
+      { new: true, runValidators: true }
+    ).select('age weight zoneSettings');
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const job = recalculate !== false && recalculate !== 'false'
+      ? await enqueueJob('RECALCULATE_ZONES', userId)
+      : null;
+
+    res.json({
+      success: true,
+      message: 'Zone settings updated successfully',
+      zones: formatZoneSettings(user),
+      job: job ? { id: job._id, status: job.status } : null
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error('Update zone settings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error updating zone settings' 
+    });
+  }
+};
+
+// Queue recalculation of time in zones for all own rides
+exports.recalculateZones = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const job = await enqueueJob('RECALCULATE_ZONES', userId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Zone recalculation queued',
+      job: { id: job._id, status: job.status }
+    });
+  } catch (error) {
+    console.error('Recalculate zones error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error queuing zone recalculation' 
+    });
+  }
+};
+
+// Get own privacy zones, hidden start/end distance, default ride visibility
+// and whether follows need approval
+exports.getPrivacySettings = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const user = await User.findById(userId).select('privacy');
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      privacy: user.privacy
+    });
+  } catch (error) {
+    console.error('Get privacy settings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching privacy settings' 
+    });
+  }
+};
+
+// Update own privacy settings
+// zones replaces the whole list; when zones or hideEndpoints change the public
+// geometry of past rides is rebuilt in the background
+exports.updatePrivacySettings = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { zones, hideEndpoints, defaultRideVisibility, privateAccount } = req.body;
+
+    const updateData = {};
+    if (zones !== undefined) {
+      if (!Array.isArray(zones)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'zones must be an array' 
+        });
+      }
+      updateData['privacy.zones'] = zones.map(({ name, latitude, longitude, radius }) => ({ name, latitude, longitude, radius }));
+    }
+    if (hideEndpoints !== undefined) {
+      updateData['privacy.hideEndpoints'] = hideEndpoints === null ? 0 : parseFloat(hideEndpoints);
+    }
+    const geometryChanged = Object.keys(updateData).length > 0;
+
+    if (defaultRideVisibility !== undefined) {
+      updateData['privacy.defaultRideVisibility'] = defaultRideVisibility;
+    }
+    if (privateAccount !== undefined) {
+      updateData['privacy.privateAccount'] = privateAccount === true || privateAccount === 'true';
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Provide at least one of: zones, hideEndpoints, defaultRideVisibility, privateAccount' 
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      updateData,
+      { new: true, runValidators: true }
+    ).select('privacy');
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    // Going public lets everyone who asked in
+    if (!user.privacy.privateAccount) {
+      await Follow.updateMany(
+        { following: userId, status: 'pending' },
+        { status: 'accepted', approvedAt: new Date() }
+      );
+    }
+
+    const job = geometryChanged ? await enqueueJob('APPLY_PRIVACY', userId) : null;
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      privacy: user.privacy,
+      job: job ? { id: job._id, status: job.status } : null
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error updating privacy settings' 
+    });
+  }
+};
+
+// Get status of one of own background jobs
+exports.getJobStatus = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { jobId } = req.params;
+
+    const job = await Job.findOne({ _id: jobId, userId }).select('-payload');
+    if (!job) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Job not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Get job status error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching job status' 
+    });
+  }
+};
+
+// Follow a user; private accounts get a pending request instead
+exports.followUser = async (req, res) => {
+  try {
+    const followerId = req.user.userId;
+    const { userId } = req.params;
+
+    if (userId === followerId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You cannot follow yourself' 
+      });
+    }
+
+    const user = await User.findById(userId).select('isBlocked privacy');
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    if (user.isBlocked) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'This user account is blocked' 
+      });
+    }
+
+    const existing = await Follow.findOne({ follower: followerId, following: userId });
+    if (existing) {
+      return res.json({
+        success: true,
+        message: existing.status === 'pending' ? 'Follow request already sent' : 'Already following this user',
+        status: existing.status
+      });
+    }
+
+    const follow = await Follow.create({
+      follower: followerId,
+      following: userId,
+      status: user.privacy.privateAccount ? 'pending' : 'accepted',
+      approvedAt: user.privacy.privateAccount ? null : new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: follow.status === 'pending' ? 'Follow request sent' : 'User followed successfully',
+      status: follow.status
+    });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error following user' 
+    });
+  }
+};
+
+// Unfollow a user or withdraw a pending request
+exports.unfollowUser = async (req, res) => {
+  try {
+    const followerId = req.user.userId;
+    const { userId } = req.params;
+
+    const follow = await Follow.findOneAndDelete({ follower: followerId, following: userId });
+    if (!follow) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'You are not following this user' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: follow.status === 'pending' ? 'Follow request withdrawn' : 'User unfollowed successfully'
+    });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error unfollowing user' 
+    });
+  }
+};
+
+// Get a user's followers (blocked accounts left out)
+exports.getFollowers = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.max(1, parseInt(req.query.limit) || 20);
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const { users, total } = await listFollowUsers(
+      { following: user._id, status: 'accepted' },
+      'follower',
+      page,
+      limit
+    );
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching followers' 
+    });
+  }
+};
+
+// Get the users someone follows (blocked accounts left out)
+exports.getFollowing = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.max(1, parseInt(req.query.limit) || 20);
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const { users, total } = await listFollowUsers(
+      { follower: user._id, status: 'accepted' },
+      'following',
+      page,
+      limit
+    );
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching followed users' 
+    });
+  }
+};
+
+// Get pending follow requests to the logged-in user
+exports.getFollowRequests = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.max(1, parseInt(req.query.limit) || 20);
+
+    const { users, total } = await listFollowUsers(
+      { following: new mongoose.Types.ObjectId(userId), status: 'pending' },
+      'follower',
+      page,
+      limit
+    );
+
+    res.json({
+      success: true,
+      requests: users,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get follow requests error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching follow requests' 
+    });
+  }
+};
+
+// Approve a pending follow request
+exports.approveFollowRequest = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { followerId } = req.params;
+
+    const follow = await Follow.findOneAndUpdate(
+      { follower: followerId, following: userId, status: 'pending' },
+      { status: 'accepted', approvedAt: new Date() },
+      { new: true }
+    );
+    if (!follow) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Follow request not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Follow request approved'
+    });
+  } catch (error) {
+    console.error('Approve follow request error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error approving follow request' 
+    });
+  }
+};
+
+// Decline a pending follow request
+exports.declineFollowRequest = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { followerId } = req.params;
+
+    const follow = await Follow.findOneAndDelete({ follower: followerId, following: userId, status: 'pending' });
+    if (!follow) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Follow request not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Follow request declined'
+    });
+  } catch (error) {
+    console.error('Decline follow request error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error declining follow request' 
+    });
+  }
+};
+
 // Get leaderboard (top users by coins)
 exports.getLeaderboard = async (req, res) => {
   try {
@@ -282,8 +816,19 @@ exports.deleteAccount = async (req, res) => {
   try {
     const userId = req.user.userId;
 
-    // Delete all user's rides
+    // Remove the user's kudos and comments on other rides
+    await deleteUserInteractions(userId);
+
+    // Delete all user's rides with their streams, backups, segment efforts, kudos and comments
+    const rideIds = await Ride.find({ userId }).distinct('_id');
+    await clearUserSegmentEfforts(userId);
+    await deleteRideStreams(rideIds);
+    await deleteRideBackups({ userId });
+    await deleteRideInteractions(rideIds);
     await Ride.deleteMany({ userId });
+    await WeeklyStats.deleteMany({ userId });
+    await DailyTrainingLoad.deleteMany({ userId });
+    await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
 
     // Delete user
     await User.findByIdAndDelete(userId);
@@ -0,0 +1,35 @@
+const multer = require('multer');
+const path = require('path');
+
+// Track files are parsed straight from memory, never written to disk
+const storage = multer.memoryStorage();
+
+// MIME types clients send for each importable track format
+// (many send application/octet-stream for anything they don't recognise)
+const GPX_MIME_TYPES = ['application/gpx+xml', 'application/xml', 'text/xml', 'application/octet-stream'];
+const FIT_MIME_TYPES = ['application/vnd.ant.fit', 'application/fit', 'application/octet-stream'];
+
+// Only accept files with the given extension and one of its MIME types
+const trackFileFilter = (extension, mimeTypes) => (req, file, cb) => {
+  if (path.extname(file.originalname).toLowerCase() === extension && mimeTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    req.fileValidationError = `Only ${extension} files are allowed`;
+    cb(null, false);
+  }
+};
+
+// Single track file upload (form field: "file")
+const trackFileUpload = (extension, mimeTypes) => multer({
+  storage,
+  fileFilter: trackFileFilter(extension, mimeTypes),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 1
+  }
+}).single('file');
+
+const uploadGpxFile = trackFileUpload('.gpx', GPX_MIME_TYPES);
+const uploadFitFile = trackFileUpload('.fit', FIT_MIME_TYPES);
+
+module.exports = { uploadGpxFile, uploadFitFile };
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { sensorLimits } = require('../config/ride');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -8,7 +9,7 @@ const handleValidationErrors = (req, res, next) => {
       success: false,
       message: 'Validation failed',
       errors: errors.array().map(err => ({
-        field: err.param,
+        field: err.path,
         message: err.msg
       }))
     });
@@ -71,11 +72,15 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+// Rides with a GPS path get their metrics recomputed from it, so only
+// rides without one must report them
+const withoutGpsPath = (value, { req }) => !(Array.isArray(req.body.gpsPath) && req.body.gpsPath.length >= 2);
+
 // Ride creation validation
 const validateRideCreation = [
   body('rideName')
+    .optional()
     .trim()
-    .notEmpty().withMessage('Ride name is required')
     .isLength({ max: 100 }).withMessage('Ride name cannot exceed 100 characters'),
   
   body('description')
@@ -84,29 +89,55 @@ const validateRideCreation = [
     .isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
   
   body('recordedFrom')
-    .notEmpty().withMessage('Recording source is required')
+    .optional()
     .isIn(['ESP32', 'Mobile', 'Laptop']).withMessage('Invalid recording source'),
   
   body('distance')
+    .if(withoutGpsPath)
     .notEmpty().withMessage('Distance is required')
     .isFloat({ min: 0 }).withMessage('Distance must be a positive number'),
   
   body('averageSpeed')
+    .if(withoutGpsPath)
     .notEmpty().withMessage('Average speed is required')
     .isFloat({ min: 0 }).withMessage('Average speed must be a positive number'),
   
   body('maxSpeed')
+    .if(withoutGpsPath)
     .notEmpty().withMessage('Max speed is required')
     .isFloat({ min: 0 }).withMessage('Max speed must be a positive number'),
   
   body('elapsedTime')
+    .if(withoutGpsPath)
     .notEmpty().withMessage('Elapsed time is required')
     .isInt({ min: 0 }).withMessage('Elapsed time must be a positive integer'),
   
   body('movingTime')
+    .if(withoutGpsPath)
     .notEmpty().withMessage('Moving time is required')
     .isInt({ min: 0 }).withMessage('Moving time must be a positive integer'),
   
+  // Optional per-point sensor channels
+  body('gpsPath.*.heartRate')
+    .optional({ values: 'null' })
+    .isFloat(sensorLimits.heartRate)
+    .withMessage(`Heart rate must be between ${sensorLimits.heartRate.min} and ${sensorLimits.heartRate.max} bpm`),
+  
+  body('gpsPath.*.cadence')
+    .optional({ values: 'null' })
+    .isFloat(sensorLimits.cadence)
+    .withMessage(`Cadence must be between ${sensorLimits.cadence.min} and ${sensorLimits.cadence.max} rpm`),
+  
+  body('gpsPath.*.power')
+    .optional({ values: 'null' })
+    .isFloat(sensorLimits.power)
+    .withMessage(`Power must be between ${sensorLimits.power.min} and ${sensorLimits.power.max} W`),
+  
+  body('gpsPath.*.temperature')
+    .optional({ values: 'null' })
+    .isFloat(sensorLimits.temperature)
+    .withMessage(`Temperature must be between ${sensorLimits.temperature.min} and ${sensorLimits.temperature.max} °C`),
+  
   handleValidationErrors
 ];
 
@@ -16,6 +16,7 @@ const adminLogSchema = new mongoose.Schema({
       'USER_BLOCKED',
       'USER_UNBLOCKED',
       'RIDE_DELETED',
+      'COMMENT_DELETED',
       'FLAG_REVIEWED',
       'FLAG_DISMISSED',
       'USER_VIEWED',
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Comment Schema
+// Threads are one level deep: replies point at a top-level comment
+const commentSchema = new mongoose.Schema({
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Top-level comment this replies to (null for top-level comments)
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+    index: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ rideId: 1, parentId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
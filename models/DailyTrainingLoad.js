@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Daily Training Load Schema
+// One document per user per UTC day, from their first ride onwards
+const dailyTrainingLoadSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // UTC midnight of the day
+  date: {
+    type: Date,
+    required: true
+  },
+  // Summed training stress of the day's rides
+  tss: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Chronic training load (fitness, 42-day average)
+  ctl: {
+    type: Number,
+    default: 0
+  },
+  // Acute training load (fatigue, 7-day average)
+  atl: {
+    type: Number,
+    default: 0
+  },
+  // Training stress balance (form)
+  tsb: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+dailyTrainingLoadSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('DailyTrainingLoad', dailyTrainingLoadSchema);
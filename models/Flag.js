@@ -9,11 +9,29 @@ const flagSchema = new mongoose.Schema({
     index: true
   },
 
-  // Who reported
+  // Reported comment on the ride (null when the ride itself is flagged)
+  commentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+    index: true
+  },
+
+  // Who reported (null for flags raised automatically by the server)
   reportedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.source === 'user';
+    },
+    default: null
+  },
+
+  // Origin of the flag
+  source: {
+    type: String,
+    enum: ['user', 'system'],
+    default: 'user'
   },
 
   // Reason for flagging
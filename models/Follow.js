@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Follow Schema
+// One document per follower/followed pair; requests to private accounts
+// stay pending until the followed user approves them
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'accepted'
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ follower: 1, status: 1 });
+followSchema.index({ following: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Background Job Schema
+// Long-running recalculations queued by API requests and run in-process
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['RECALCULATE_ZONES', 'RECALCULATE_ENERGY', 'APPLY_PRIVACY', 'MATCH_SEGMENT'],
+    required: true
+  },
+  // User the job works on (and who may check its status)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  progress: {
+    processed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
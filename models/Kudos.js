@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Kudos Schema - one per user per ride
+const kudosSchema = new mongoose.Schema({
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+kudosSchema.index({ rideId: 1, userId: 1 }, { unique: true });
+kudosSchema.index({ rideId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Kudos', kudosSchema);
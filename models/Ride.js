@@ -35,30 +35,184 @@ const segmentSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
-// GPS Point Schema (Embedded)
-const gpsPointSchema = new mongoose.Schema({
-  latitude: {
+// Pause Interval Schema (Embedded)
+// Indexes refer to points in the processed stream
+const pauseSchema = new mongoose.Schema({
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  duration: {
     type: Number,
     required: true,
-    min: -90,
-    max: 90
+    min: 0
+  },
+  startIndex: {
+    type: Number,
+    required: true
+  },
+  endIndex: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['stopped', 'gap'],
+    required: true
+  }
+}, { _id: false });
+
+// Ride Best Effort Schema (Embedded)
+// Fastest window of the processed stream for a distance (km)
+const rideBestEffortSchema = new mongoose.Schema({
+  distance: {
+    type: Number,
+    required: true
   },
-  longitude: {
+  time: {
     type: Number,
     required: true,
-    min: -180,
-    max: 180
+    min: 0
   },
-  altitude: {
+  startIndex: {
     type: Number,
-    default: 0
+    required: true
+  },
+  endIndex: {
+    type: Number,
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
   },
-  timestamp: {
+  endTime: {
     type: Date,
     required: true
   }
 }, { _id: false });
 
+// Zone Time Schema (Embedded) - seconds spent in one training zone
+const zoneTimeSchema = new mongoose.Schema({
+  zone: {
+    type: Number,
+    required: true
+  },
+  min: {
+    type: Number,
+    required: true
+  },
+  max: {
+    type: Number,
+    default: null
+  },
+  time: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// Climb Schema (Embedded)
+// Indexes refer to points in the processed stream
+const climbSchema = new mongoose.Schema({
+  startIndex: {
+    type: Number,
+    required: true
+  },
+  endIndex: {
+    type: Number,
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  // Distance from the start of the ride (km)
+  startDistance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Length of the climb (km)
+  distance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  elevationGain: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  startAltitude: {
+    type: Number,
+    required: true
+  },
+  endAltitude: {
+    type: Number,
+    required: true
+  },
+  // Gradients in %
+  averageGradient: {
+    type: Number,
+    required: true
+  },
+  maxGradient: {
+    type: Number,
+    required: true
+  },
+  time: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Vertical ascent speed (m/h)
+  vam: {
+    type: Number,
+    default: null
+  },
+  category: {
+    type: String,
+    enum: ['4', '3', '2', '1', 'HC', null],
+    default: null
+  }
+}, { _id: false });
+
+// GeoJSON Point Schema (Embedded) - coordinates are [longitude, latitude]
+const geoPointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true
+  }
+}, { _id: false });
+
+// GeoJSON LineString Schema (Embedded)
+const geoLineStringSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['LineString'],
+    required: true
+  },
+  coordinates: {
+    type: [[Number]],
+    required: true
+  }
+}, { _id: false });
+
 // Main Ride Schema
 const rideSchema = new mongoose.Schema({
   // Ownership
@@ -73,6 +227,13 @@ const rideSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  // Who else can see the ride: everyone, followers or nobody
+  visibility: {
+    type: String,
+    enum: ['public', 'followers', 'private'],
+    default: 'public',
+    index: true
+  },
 
   // Ride Metadata
   rideName: {
@@ -119,6 +280,11 @@ const rideSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Auto-detected pauses (server-computed from the GPS stream)
+  pauses: {
+    type: [pauseSchema],
+    default: []
+  },
 
   // Distance & Speed Metrics
   distance: {
@@ -153,9 +319,170 @@ const rideSchema = new mongoose.Schema({
     min: 0
   },
 
-  // GPS Route
-  gpsPath: {
-    type: [gpsPointSchema],
+  // Climbs detected on the altitude profile
+  climbs: {
+    type: [climbSchema],
+    default: []
+  },
+
+  // Sensor Summaries (null when the ride has no data for the channel)
+  averageHeartRate: {
+    type: Number,
+    default: null
+  },
+  maxHeartRate: {
+    type: Number,
+    default: null
+  },
+  averageCadence: {
+    type: Number,
+    default: null
+  },
+  averagePower: {
+    type: Number,
+    default: null
+  },
+  maxPower: {
+    type: Number,
+    default: null
+  },
+  normalizedPower: {
+    type: Number,
+    default: null
+  },
+  averageTemperature: {
+    type: Number,
+    default: null
+  },
+
+  // Time in heart rate (5) and power (7) zones, with the settings used
+  timeInZones: {
+    heartRate: { type: [zoneTimeSchema], default: [] },
+    power: { type: [zoneTimeSchema], default: [] },
+    maxHeartRate: { type: Number, default: null },
+    thresholdHeartRate: { type: Number, default: null },
+    ftp: { type: Number, default: null },
+    computedAt: { type: Date, default: null }
+  },
+
+  // Training stress score and how it was derived
+  trainingLoad: {
+    score: { type: Number, default: null },
+    intensityFactor: { type: Number, default: null },
+    method: {
+      type: String,
+      enum: ['power', 'heartRate', 'estimated', null],
+      default: null
+    }
+  },
+
+  // Estimated energy spent, with the body weight (kg) it was based on
+  energy: {
+    kilojoules: { type: Number, default: null },
+    calories: { type: Number, default: null },
+    method: {
+      type: String,
+      enum: ['power', 'heartRate', 'speed', null],
+      default: null
+    },
+    weight: { type: Number, default: null },
+    computedAt: { type: Date, default: null }
+  },
+
+  // Per-point data lives in the RideStream collection
+  streamInfo: {
+    // Points in the cleaned stream every metric is derived from
+    pointCount: { type: Number, default: 0 },
+    // Points in the stream as recorded, kept so cleaning can be re-run
+    rawPointCount: { type: Number, default: 0 },
+    channels: { type: [String], default: [] }
+  },
+
+  // Geo fields derived from the GPS stream for location queries
+  startLocation: {
+    type: geoPointSchema,
+    default: undefined
+  },
+  endLocation: {
+    type: geoPointSchema,
+    default: undefined
+  },
+  // Simplified copy of the route
+  routeLine: {
+    type: geoLineStringSchema,
+    default: undefined
+  },
+
+  // Google encoded polylines of the simplified route for map rendering
+  polyline: {
+    type: String,
+    default: ''
+  },
+  // Coarser version for list thumbnails
+  summaryPolyline: {
+    type: String,
+    default: ''
+  },
+
+  // The same geo fields with the owner's privacy zones and hidden
+  // start/end removed; used whenever someone else looks at the ride
+  publicGeometry: {
+    startLocation: { type: geoPointSchema, default: undefined },
+    endLocation: { type: geoPointSchema, default: undefined },
+    routeLine: { type: geoLineStringSchema, default: undefined },
+    polyline: { type: String, default: '' },
+    summaryPolyline: { type: String, default: '' }
+  },
+
+  // Summary of the last GPS cleaning run
+  processing: {
+    processedAt: { type: Date, default: null },
+    settings: {
+      maxSpeed: Number,
+      removeDuplicates: Boolean,
+      smoothing: { type: String, enum: ['none', 'moving-average', 'kalman'] },
+      windowSize: Number,
+      processNoise: Number,
+      measurementNoise: Number
+    },
+    inputPoints: { type: Number, default: 0 },
+    outputPoints: { type: Number, default: 0 },
+    duplicatesRemoved: { type: Number, default: 0 },
+    outliersRemoved: { type: Number, default: 0 },
+    pointsSmoothed: { type: Number, default: 0 },
+    pointsModified: { type: Number, default: 0 }
+  },
+
+  // Best efforts found along the GPS stream
+  bestEfforts: {
+    type: [rideBestEffortSchema],
+    default: []
+  },
+
+  // Metric Verification
+  // 'server' when distance/time/speed/elevation were recomputed from the GPS stream
+  metricsSource: {
+    type: String,
+    enum: ['client', 'server'],
+    default: 'client'
+  },
+  // What the client originally reported (kept for auditing)
+  claimedMetrics: {
+    distance: { type: Number, default: null },
+    elapsedTime: { type: Number, default: null },
+    movingTime: { type: Number, default: null },
+    averageSpeed: { type: Number, default: null },
+    maxSpeed: { type: Number, default: null },
+    elevationGained: { type: Number, default: null }
+  },
+  // Metrics where the claim diverged from the GPS path beyond tolerance
+  metricsDivergence: {
+    type: [{
+      _id: false,
+      field: String,
+      claimed: Number,
+      derived: Number
+    }],
     default: []
   },
 
@@ -180,6 +507,18 @@ const rideSchema = new mongoose.Schema({
   segments: {
     type: [segmentSchema],
     default: []
+  },
+
+  // Social counts, kept in step with the Kudos and Comment collections
+  kudosCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true
@@ -188,6 +527,11 @@ const rideSchema = new mongoose.Schema({
 // Indexes for performance
 rideSchema.index({ userId: 1, activityDate: -1 });
 rideSchema.index({ rideName: 'text' });
+rideSchema.index({ startLocation: '2dsphere' });
+rideSchema.index({ endLocation: '2dsphere' });
+rideSchema.index({ routeLine: '2dsphere' });
+rideSchema.index({ 'publicGeometry.startLocation': '2dsphere' });
+rideSchema.index({ 'publicGeometry.routeLine': '2dsphere' });
 
 // Pre-save middleware to calculate coins
 rideSchema.pre('save', function(next) {
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Ride Backup Schema
+// The raw track of a ride before an edit (e.g. crop), kept for a limited time
+// so the edit can be undone. The points are stored as RideStream chunks of
+// kind 'backup' under this document's ID.
+const rideBackupSchema = new mongoose.Schema({
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Edit that replaced the track
+  reason: {
+    type: String,
+    enum: ['crop', 'restore'],
+    required: true
+  },
+  // Cleaning settings the track was processed with
+  cleaning: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Summary of the track, so backups can be told apart
+  pointCount: {
+    type: Number,
+    default: 0
+  },
+  distance: {
+    type: Number,
+    default: 0
+  },
+  movingTime: {
+    type: Number,
+    default: 0
+  },
+  startTime: {
+    type: Date,
+    default: null
+  },
+  endTime: {
+    type: Date,
+    default: null
+  },
+  // MongoDB removes the backup after this date
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+rideBackupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RideBackup', rideBackupSchema);
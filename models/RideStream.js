@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Ride Stream Schema
+// One time-bounded chunk of a ride's per-point data, stored as parallel
+// arrays (one per channel) so long rides never approach the document limit.
+const rideStreamSchema = new mongoose.Schema({
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  // 'processed' is the cleaned track every metric is derived from,
+  // 'raw' is the track as recorded, kept so cleaning can be re-run,
+  // 'backup' is a RideBackup's copy of a raw track (rideId is then the backup's ID)
+  kind: {
+    type: String,
+    enum: ['processed', 'raw', 'backup'],
+    default: 'processed'
+  },
+  // Write that produced the chunk: a stream is replaced by inserting a new
+  // version and removing the old one only once the new one is complete
+  version: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // False while the chunks of a version are still being written
+  complete: {
+    type: Boolean,
+    default: true
+  },
+  chunkIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Index of this chunk's first point within the whole stream
+  startOffset: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  pointCount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+
+  // Channels (all arrays have pointCount entries)
+  time: {
+    type: [Date],
+    default: []
+  },
+  latitude: {
+    type: [Number],
+    default: []
+  },
+  longitude: {
+    type: [Number],
+    default: []
+  },
+  altitude: {
+    type: [Number],
+    default: []
+  },
+  // Sensor channels (empty when the chunk has no data for them)
+  heartRate: {
+    type: [Number],
+    default: []
+  },
+  cadence: {
+    type: [Number],
+    default: []
+  },
+  power: {
+    type: [Number],
+    default: []
+  },
+  temperature: {
+    type: [Number],
+    default: []
+  },
+
+  // Backup chunks are removed by MongoDB after this date
+  expiresAt: {
+    type: Date,
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+// One chunk per position in each version of a stream
+rideStreamSchema.index({ rideId: 1, kind: 1, version: 1, chunkIndex: 1 }, { unique: true });
+
+// Expire backup chunks
+rideStreamSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RideStream', rideStreamSchema);
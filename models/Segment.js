@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Segment Point Schema (Embedded)
+const segmentPointSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  altitude: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Gate Schema (Embedded) - a circle a ride must pass through
+const gateSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  radius: {
+    type: Number,
+    default: 25, // meters
+    min: 5
+  }
+}, { _id: false });
+
+const segmentSchema = new mongoose.Schema({
+  // Segment Metadata
+  name: {
+    type: String,
+    required: [true, 'Segment name is required'],
+    trim: true,
+    maxlength: [100, 'Segment name cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  sourceRideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+
+  // Geometry
+  points: {
+    type: [segmentPointSchema],
+    validate: [points => points.length >= 2, 'Segment needs at least 2 points']
+  },
+  startGate: {
+    type: gateSchema,
+    required: true
+  },
+  endGate: {
+    type: gateSchema,
+    required: true
+  },
+  // Bounding box used to find candidate segments for a ride
+  bounds: {
+    minLatitude: { type: Number, required: true },
+    maxLatitude: { type: Number, required: true },
+    minLongitude: { type: Number, required: true },
+    maxLongitude: { type: Number, required: true }
+  },
+
+  // Metrics
+  distance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  elevationGain: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  averageGrade: {
+    type: Number,
+    default: 0
+  },
+  effortCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for candidate lookup
+segmentSchema.index({ 'bounds.minLatitude': 1, 'bounds.maxLatitude': 1 });
+segmentSchema.index({ name: 'text' });
+
+module.exports = mongoose.model('Segment', segmentSchema);
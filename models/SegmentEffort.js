@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const segmentEffortSchema = new mongoose.Schema({
+  // References
+  segmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Segment',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true,
+    index: true
+  },
+
+  // Effort timing (seconds)
+  elapsedTime: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  activityDate: {
+    type: Date,
+    required: true
+  },
+
+  // Slice of the ride's processed stream covering the segment
+  startIndex: {
+    type: Number,
+    required: true
+  },
+  endIndex: {
+    type: Number,
+    required: true
+  },
+  distance: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for leaderboards and per-ride lookups
+segmentEffortSchema.index({ segmentId: 1, elapsedTime: 1 });
+segmentEffortSchema.index({ segmentId: 1, userId: 1, elapsedTime: 1 });
+
+module.exports = mongoose.model('SegmentEffort', segmentEffortSchema);
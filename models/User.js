@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+
+// Best Effort Schema (Embedded)
+// Fastest contiguous stretch of one ride for a given distance
+const bestEffortSchema = new mongoose.Schema({
+  distance: {
+    type: Number,
+    required: true
+  },
+  time: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  startIndex: {
+    type: Number,
+    required: true
+  },
+  endIndex: {
+    type: Number,
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+// Privacy Zone Schema (Embedded)
+// Circle around a sensitive place (e.g. home) hidden from other users
+const privacyZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Zone name cannot exceed 50 characters'],
+    default: ''
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  // Radius in meters
+  radius: {
+    type: Number,
+    required: true,
+    min: 100,
+    max: 5000
+  }
+}, { _id: true });
+
+const userSchema = new mongoose.Schema({
+  // Account
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required']
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  isBlocked: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  // Profile
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  age: {
+    type: Number,
+    min: 13,
+    max: 120
+  },
+  sex: {
+    type: String,
+    enum: ['Male', 'Female', 'Other', 'Prefer not to say']
+  },
+  height: {
+    type: Number,
+    min: 100,
+    max: 300
+  },
+  weight: {
+    type: Number,
+    min: 30,
+    max: 300
+  },
+  city: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'City name too long'],
+    default: ''
+  },
+
+  // Training zone settings (null = derive from age / weight)
+  zoneSettings: {
+    maxHeartRate: { type: Number, min: 100, max: 250, default: null },
+    thresholdHeartRate: { type: Number, min: 80, max: 230, default: null },
+    ftp: { type: Number, min: 50, max: 600, default: null }
+  },
+
+  // What other users may see of this user's routes
+  privacy: {
+    zones: {
+      type: [privacyZoneSchema],
+      default: [],
+      validate: [zones => zones.length <= 10, 'At most 10 privacy zones are allowed']
+    },
+    // Meters hidden at the start and end of every ride
+    hideEndpoints: { type: Number, min: 0, max: 5000, default: 0 },
+    // Visibility given to new rides
+    defaultRideVisibility: {
+      type: String,
+      enum: ['public', 'followers', 'private'],
+      default: 'public'
+    },
+    // New followers need approval
+    privateAccount: { type: Boolean, default: false }
+  },
+
+  // Totals
+  totalCoins: {
+    type: Number,
+    default: 0,
+    index: true
+  },
+  totalDistance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  distanceThisYear: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Records
+  longestRideDistance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  longestRideTime: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxElevationGained: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Best effort times in seconds (kept for existing clients, mirror bestEfforts)
+  best10kmTime: { type: Number, default: null },
+  best20kmTime: { type: Number, default: null },
+  best25kmTime: { type: Number, default: null },
+  best50kmTime: { type: Number, default: null },
+  best75kmTime: { type: Number, default: null },
+  best100kmTime: { type: Number, default: null },
+
+  // Best efforts with the ride and GPS slice they were set on
+  bestEfforts: {
+    type: [bestEffortSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -58,6 +58,28 @@ const weeklyStatsSchema = new mongoose.Schema({
     min: 0
   },
 
+  // Estimated energy spent this week
+  totalKilojoules: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalCalories: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Seconds in each heart rate zone (1-5) and power zone (1-7)
+  heartRateZoneTime: {
+    type: [Number],
+    default: () => [0, 0, 0, 0, 0]
+  },
+  powerZoneTime: {
+    type: [Number],
+    default: () => [0, 0, 0, 0, 0, 0, 0]
+  },
+
   // Week start and end dates
   weekStartDate: {
     type: Date,
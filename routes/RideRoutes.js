@@ -2,37 +2,94 @@ const express = require('express');
 const router = express.Router();
 const rideController = require('../controllers/rideController');
 const { protect } = require('../middleware/authMiddleware');
+const { uploadGpxFile, uploadFitFile } = require('../middleware/uploadMiddleware');
+const { validateRideCreation } = require('../middleware/validationMiddleware');
 
 // All routes require authentication
 router.use(protect);
 
 // Create new ride
-router.post('/', rideController.createRide);
+router.post('/', validateRideCreation, rideController.createRide);
+
+// Import ride from a GPX file (multipart field: file)
+router.post('/import/gpx', uploadGpxFile, rideController.importGpx);
+
+// Import ride from a Garmin FIT file (multipart field: file)
+router.post('/import/fit', uploadFitFile, rideController.importFit);
+
+// Merge consecutive rides into the first one (body: rideIds in order)
+router.post('/merge', rideController.mergeRides);
 
 // Get all rides for logged-in user
 router.get('/my-rides', rideController.getMyRides);
 
+// Own and followed riders' rides, newest first (?cursor=&limit=)
+router.get('/feed', rideController.getFeed);
+
 // Get rides by user ID
 router.get('/user/:userId', rideController.getUserRides);
 
+// Find rides starting near a point (?lat=&lng=&radiusKm=)
+router.get('/nearby', rideController.getNearbyRides);
+
+// Find rides passing through a bounding box (?minLat=&minLng=&maxLat=&maxLng=)
+router.get('/within', rideController.getRidesInBounds);
+
 // Search rides by name
 router.get('/search', rideController.searchRides);
 
-// Get single ride details
+// Get single ride details (?path=&zoom=&splits=<km>)
 router.get('/:rideId', rideController.getRideById);
 
+// Get per-point streams (?channels=&maxPoints=&type=processed|raw)
+router.get('/:rideId/streams', rideController.getRideStreams);
+
+// Export ride as a GPX, TCX, GeoJSON or KML file
+router.get('/:rideId/export', rideController.exportRide);
+
 // Update ride (only owner can update)
 router.put('/:rideId', rideController.updateRide);
 
+// Re-run GPS cleaning with new settings (only owner)
+router.post('/:rideId/reprocess', rideController.reprocessRide);
+
+// Crop to a time/distance range or cut a section out (only owner)
+router.post('/:rideId/crop', rideController.cropRide);
+
+// Split into two rides at a timestamp (only owner)
+router.post('/:rideId/split', rideController.splitRide);
+
+// List restorable backups of the original track (only owner)
+router.get('/:rideId/backups', rideController.getRideBackups);
+
+// Restore a backed-up track (only owner)
+router.post('/:rideId/backups/:backupId/restore', rideController.restoreRideBackup);
+
 // Delete ride (only owner can delete)
 router.delete('/:rideId', rideController.deleteRide);
 
 // Flag a ride
 router.post('/:rideId/flag', rideController.flagRide);
 
+// Give or take back kudos, and list who gave kudos
+router.post('/:rideId/kudos', rideController.toggleKudos);
+router.get('/:rideId/kudos', rideController.getRideKudos);
+
+// Comments (threads one level deep via parentId)
+router.get('/:rideId/comments', rideController.getRideComments);
+router.post('/:rideId/comments', rideController.addComment);
+router.put('/:rideId/comments/:commentId', rideController.updateComment);
+router.delete('/:rideId/comments/:commentId', rideController.deleteComment);
+
+// Report a comment
+router.post('/:rideId/comments/:commentId/flag', rideController.flagComment);
+
 // Add segment to ride
 router.post('/:rideId/segments', rideController.addSegment);
 
+// Save auto-laps every splitDistance km as segments
+router.post('/:rideId/segments/auto-laps', rideController.addAutoLapSegments);
+
 // Upload media (photos/videos)
 router.post('/:rideId/upload', rideController.uploadMedia);
 
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const segmentController = require('../controllers/segmentController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Create segment from a portion of own ride
+router.post('/', segmentController.createSegment);
+
+// Get segments created by logged-in user
+router.get('/my-segments', segmentController.getMySegments);
+
+// Get segment efforts matched on a ride
+router.get('/ride/:rideId', segmentController.getRideSegmentEfforts);
+
+// Get segment leaderboard (period, gender, ageGroup, city filters)
+router.get('/:segmentId/leaderboard', segmentController.getSegmentLeaderboard);
+
+// Get single segment details
+router.get('/:segmentId', segmentController.getSegmentById);
+
+// Delete segment (only creator can delete)
+router.delete('/:segmentId', segmentController.deleteSegment);
+
+module.exports = router;
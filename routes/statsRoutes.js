@@ -24,4 +24,10 @@ router.get('/longest-rides/:userId', statsController.getLongestRides);
 // Get year summary
 router.get('/year-summary/:userId', statsController.getYearSummary);
 
+// Get daily fitness, fatigue and form
+router.get('/fitness/:userId', statsController.getFitness);
+
+// Get biggest climbs across all rides
+router.get('/climbs/:userId', statsController.getBiggestClimbs);
+
 module.exports = router;
\ No newline at end of file
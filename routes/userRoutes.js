@@ -12,6 +12,34 @@ router.get('/profile/:userId', userController.getUserProfile);
 // Update own profile
 router.put('/profile', userController.updateProfile);
 
+// Training zone settings (PUT queues recalculation of past rides)
+router.get('/zones', userController.getZoneSettings);
+router.put('/zones', userController.updateZoneSettings);
+
+// Recalculate time in zones for all own rides
+router.post('/zones/recalculate', userController.recalculateZones);
+
+// Privacy zones, hidden start/end, default ride visibility and follow approval
+// (PUT queues an update of past rides when zones or hidden distance change)
+router.get('/privacy', userController.getPrivacySettings);
+router.put('/privacy', userController.updatePrivacySettings);
+
+// Check a background job
+router.get('/jobs/:jobId', userController.getJobStatus);
+
+// Follow or unfollow a user (private accounts get a request)
+router.post('/follow/:userId', userController.followUser);
+router.delete('/follow/:userId', userController.unfollowUser);
+
+// Followers and followed users of any user
+router.get('/followers/:userId', userController.getFollowers);
+router.get('/following/:userId', userController.getFollowing);
+
+// Pending follow requests to the logged-in user
+router.get('/follow-requests', userController.getFollowRequests);
+router.post('/follow-requests/:followerId/approve', userController.approveFollowRequest);
+router.delete('/follow-requests/:followerId', userController.declineFollowRequest);
+
 // Get leaderboard (sorted by coins)
 router.get('/leaderboard', userController.getLeaderboard);
 
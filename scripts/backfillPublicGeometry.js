@@ -0,0 +1,45 @@
+/**
+ * Fill in the public geometry of existing rides and build its 2dsphere
+ * indexes. Nobody had privacy settings before this, so the public
+ * geometry is a copy of the ride's own geo fields.
+ *
+ * Run after migrate:ride-geometry.
+ *
+ * Usage: npm run migrate:ride-privacy
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ MongoDB Connected: ${mongoose.connection.host}`);
+
+  await Ride.createIndexes();
+  console.log('📍 Public geo indexes ready');
+
+  // Native update so the pipeline can copy fields within each document
+  const result = await Ride.collection.updateMany(
+    { 'publicGeometry.startLocation': { $exists: false } },
+    [{
+      $set: {
+        publicGeometry: {
+          startLocation: '$startLocation',
+          endLocation: '$endLocation',
+          routeLine: '$routeLine',
+          polyline: { $ifNull: ['$polyline', ''] },
+          summaryPolyline: { $ifNull: ['$summaryPolyline', ''] }
+        }
+      }
+    }]
+  );
+
+  console.log(`✅ Backfilled public geometry for ${result.modifiedCount} rides`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('❌ Public geometry backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,61 @@
+/**
+ * Detect climbs on the processed streams of existing rides.
+ *
+ * Run after migrate:ride-streams.
+ *
+ * Usage: npm run migrate:ride-climbs
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const { detectClimbs } = require('../utils/climbDetection');
+const { loadRidePath } = require('../utils/rideStreams');
+
+const BATCH_SIZE = 100;
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ MongoDB Connected: ${mongoose.connection.host}`);
+
+  const cursor = Ride.find({
+    'streamInfo.pointCount': { $gt: 0 },
+    climbs: { $exists: false }
+  })
+    .select('_id')
+    .lean()
+    .cursor();
+
+  let updates = [];
+  let updated = 0;
+
+  for await (const ride of cursor) {
+    const gpsPath = await loadRidePath(ride._id);
+    updates.push({
+      updateOne: {
+        filter: { _id: ride._id },
+        update: { $set: { climbs: detectClimbs(gpsPath) } }
+      }
+    });
+
+    if (updates.length === BATCH_SIZE) {
+      await Ride.bulkWrite(updates);
+      updated += updates.length;
+      updates = [];
+      console.log(`   ${updated} rides updated`);
+    }
+  }
+
+  if (updates.length > 0) {
+    await Ride.bulkWrite(updates);
+    updated += updates.length;
+  }
+
+  console.log(`✅ Detected climbs for ${updated} rides`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('❌ Ride climbs backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
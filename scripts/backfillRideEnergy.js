@@ -0,0 +1,32 @@
+/**
+ * Estimate energy (kilojoules and calories) for existing rides from
+ * each rider's current profile and rebuild weekly totals.
+ *
+ * Usage: npm run migrate:ride-energy
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { recalculateUserEnergy } = require('../utils/energyRecalculation');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ MongoDB Connected: ${mongoose.connection.host}`);
+
+  const userIds = await User.distinct('_id');
+  let rides = 0;
+
+  for (const userId of userIds) {
+    rides += await recalculateUserEnergy(userId);
+    console.log(`   ${userId}: energy estimated`);
+  }
+
+  console.log(`✅ Backfilled energy for ${rides} rides of ${userIds.length} users`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('❌ Energy backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
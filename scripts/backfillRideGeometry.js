@@ -0,0 +1,68 @@
+/**
+ * Backfill GeoJSON start/end points, route lines and encoded polylines
+ * for existing rides and build the 2dsphere indexes.
+ *
+ * Run after migrate:ride-streams.
+ *
+ * Usage: npm run migrate:ride-geometry
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const { buildRideGeometry } = require('../utils/rideGeometry');
+const { loadRidePath } = require('../utils/rideStreams');
+
+const BATCH_SIZE = 100;
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ MongoDB Connected: ${mongoose.connection.host}`);
+
+  await Ride.createIndexes();
+  console.log('📍 Geo indexes ready');
+
+  const cursor = Ride.find({
+    'streamInfo.pointCount': { $gt: 0 },
+    $or: [
+      { startLocation: { $exists: false } },
+      { polyline: { $in: [null, ''] } }
+    ]
+  })
+    .select('_id')
+    .lean()
+    .cursor();
+
+  let updates = [];
+  let updated = 0;
+
+  for await (const ride of cursor) {
+    const gpsPath = await loadRidePath(ride._id);
+    updates.push({
+      updateOne: {
+        filter: { _id: ride._id },
+        update: { $set: buildRideGeometry(gpsPath) }
+      }
+    });
+
+    if (updates.length === BATCH_SIZE) {
+      await Ride.bulkWrite(updates);
+      updated += updates.length;
+      updates = [];
+      console.log(`   ${updated} rides updated`);
+    }
+  }
+
+  if (updates.length > 0) {
+    await Ride.bulkWrite(updates);
+    updated += updates.length;
+  }
+
+  console.log(`✅ Backfilled geometry for ${updated} rides`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('❌ Ride geometry backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,43 @@
+/**
+ * Give existing rides a visibility, taken from each rider's default
+ * ride visibility, and build the visibility index.
+ *
+ * Usage: npm run migrate:ride-visibility
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Ride = require('../models/Ride');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ MongoDB Connected: ${mongoose.connection.host}`);
+
+  await Ride.createIndexes();
+  console.log('🔒 Visibility index ready');
+
+  const users = await User.find().select('privacy');
+  let rides = 0;
+
+  for (const user of users) {
+    const visibility = user.privacy.defaultRideVisibility;
+    const { modifiedCount } = await Ride.updateMany(
+      { userId: user._id, visibility: { $exists: false } },
+      { $set: { visibility } }
+    );
+
+    rides += modifiedCount;
+    if (modifiedCount > 0) {
+      console.log(`   ${user._id}: ${modifiedCount} rides set to ${visibility}`);
+    }
+  }
+
+  console.log(`✅ Backfilled visibility for ${rides} rides of ${users.length} users`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('❌ Ride visibility backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
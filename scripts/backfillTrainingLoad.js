@@ -0,0 +1,34 @@
+/**
+ * Compute training stress for existing rides and build every user's
+ * daily training load (fitness, fatigue and form).
+ *
+ * Run after migrate:ride-streams.
+ *
+ * Usage: npm run migrate:training-load
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { recalculateUserZones } = require('../utils/zoneRecalculation');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ MongoDB Connected: ${mongoose.connection.host}`);
+
+  const userIds = await User.distinct('_id');
+  let rides = 0;
+
+  for (const userId of userIds) {
+    rides += await recalculateUserZones(userId);
+    console.log(`   ${userId}: training load rebuilt`);
+  }
+
+  console.log(`✅ Backfilled training load for ${rides} rides of ${userIds.length} users`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('❌ Training load backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,63 @@
+/**
+ * Move embedded gpsPath / rawGpsPath arrays out of ride documents
+ * into the chunked RideStream collection.
+ *
+ * Safe to re-run: rides are only unset after their streams are written.
+ *
+ * Usage: npm run migrate:ride-streams
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const RideStream = require('../models/RideStream');
+const { GPS_CHANNELS, saveRideStream } = require('../utils/rideStreams');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ MongoDB Connected: ${mongoose.connection.host}`);
+
+  // Also drops the unique index of the unversioned chunk layout
+  await RideStream.syncIndexes();
+
+  // The fields are no longer in the schema, so read the raw documents
+  const cursor = Ride.collection.find(
+    { $or: [{ gpsPath: { $exists: true } }, { rawGpsPath: { $exists: true } }] },
+    { projection: { gpsPath: 1, rawGpsPath: 1 } }
+  );
+
+  let migrated = 0;
+
+  for await (const ride of cursor) {
+    const gpsPath = ride.gpsPath || [];
+    const rawPath = ride.rawGpsPath || [];
+
+    await saveRideStream(ride._id, 'processed', gpsPath);
+    await saveRideStream(ride._id, 'raw', rawPath);
+
+    await Ride.collection.updateOne(
+      { _id: ride._id },
+      {
+        $set: {
+          'streamInfo.pointCount': gpsPath.length,
+          'streamInfo.rawPointCount': rawPath.length,
+          'streamInfo.channels': gpsPath.length > 0 ? GPS_CHANNELS : []
+        },
+        $unset: { gpsPath: '', rawGpsPath: '' }
+      }
+    );
+
+    migrated++;
+    if (migrated % 100 === 0) {
+      console.log(`   ${migrated} rides migrated`);
+    }
+  }
+
+  console.log(`✅ Moved GPS data for ${migrated} rides into ride streams`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Ride stream migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
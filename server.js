@@ -2,6 +2,7 @@ require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/db');
 const { validateEmailConfig } = require('./config/email');
+const { resumeJobs } = require('./utils/jobRunner');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -11,8 +12,8 @@ process.on('uncaughtException', (err) => {
   process.exit(1);
 });
 
-// Connect to database
-connectDB();
+// Connect to database, then pick up background jobs left from the last run
+connectDB().then(resumeJobs);
 
 // Validate email configuration
 validateEmailConfig();
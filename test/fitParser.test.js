@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseFit, fitRecordsToGpsPath, fitLapsToSegments } = require('../utils/fitParser');
+
+// Fixtures are written by test/fixtures/buildFitFixtures.js
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+// Semicircle rounding leaves positions within about a centimetre
+const assertNear = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `expected ${actual} to be close to ${expected}`);
+};
+
+const START = Date.UTC(2024, 4, 1, 8, 0, 0);
+
+describe('parseFit', () => {
+  it('decodes records, laps and sessions', () => {
+    const { records, laps, sessions, errors } = parseFit(fixture('basic.fit'));
+
+    assert.deepEqual(errors, []);
+    assert.equal(records.length, 3);
+    records.forEach((record, i) => {
+      assert.equal(record.timestamp.getTime(), START + i * 10000);
+      assertNear(record.positionLat, 45 + i * 0.001);
+      assertNear(record.positionLong, 7.5);
+      assert.equal(record.altitude, 100 + i);
+      assert.equal(record.heartRate, 120 + i);
+    });
+
+    assert.equal(laps.length, 1);
+    assert.equal(laps[0].startTime.getTime(), START);
+    assert.equal(laps[0].totalElapsedTime, 20);
+    assert.equal(laps[0].totalTimerTime, 18);
+    assert.equal(laps[0].totalDistance, 222);
+    assert.equal(sessions.length, 1);
+  });
+
+  it('decodes big-endian files the same as little-endian ones', () => {
+    const little = parseFit(fixture('basic.fit'));
+    const big = parseFit(fixture('big-endian.fit'));
+
+    assert.deepEqual(big.errors, []);
+    assert.deepEqual(big.records, little.records);
+    assert.deepEqual(big.laps, little.laps);
+    assert.deepEqual(big.sessions, little.sessions);
+  });
+
+  it('resolves compressed timestamps against the last full timestamp', () => {
+    const { records, errors } = parseFit(fixture('compressed-timestamps.fit'));
+
+    assert.deepEqual(errors, []);
+    // 28 s past the minute, then offsets 30 and 2 (which rolls over)
+    assert.deepEqual(records.map(record => record.timestamp.getTime()), [START + 28000, START + 30000, START + 34000]);
+    assertNear(records[2].positionLat, 45.002);
+  });
+
+  it('skips developer field bytes', () => {
+    const { records, errors } = parseFit(fixture('developer-fields.fit'));
+
+    assert.deepEqual(errors, []);
+    assert.equal(records.length, 2);
+    assert.equal(records[1].timestamp.getTime(), START + 1000);
+    assertNear(records[1].positionLat, 45.001);
+    assert.equal(records[1].power, 201);
+  });
+
+  it('decodes chained files in one upload', () => {
+    const { records, laps, errors } = parseFit(Buffer.concat([fixture('basic.fit'), fixture('basic.fit')]));
+
+    assert.deepEqual(errors, []);
+    assert.equal(records.length, 6);
+    assert.equal(laps.length, 2);
+  });
+
+  it('reports a file shorter than its header declares', () => {
+    const { records, errors } = parseFit(fixture('truncated.fit'));
+
+    assert.equal(records.length, 0);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /^File is truncated/);
+  });
+
+  it('reports a truncated data message and keeps what was decoded before it', () => {
+    const { records, errors } = parseFit(fixture('truncated-message.fit'));
+
+    assert.equal(records.length, 1);
+    assert.deepEqual(errors, [{ offset: 51, message: 'Truncated data message' }]);
+  });
+
+  it('reports a CRC mismatch', () => {
+    const { records, errors } = parseFit(fixture('bad-crc.fit'));
+
+    assert.equal(records.length, 0);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].message, 'File CRC mismatch, the file is corrupted');
+  });
+
+  it('rejects buffers that are not FIT files', () => {
+    assert.equal(parseFit(Buffer.alloc(4)).errors[0].message, 'File is too small to be a FIT file');
+    assert.equal(parseFit(Buffer.from('<gpx version="1.1"></gpx>')).errors[0].message, 'Invalid FIT header size 60');
+  });
+});
+
+describe('fitRecordsToGpsPath', () => {
+  it('converts records to GPS points with sensor channels', () => {
+    const gpsPath = fitRecordsToGpsPath(parseFit(fixture('basic.fit')).records);
+
+    assert.equal(gpsPath.length, 3);
+    assert.equal(gpsPath[0].timestamp.getTime(), START);
+    assertNear(gpsPath[0].latitude, 45);
+    assertNear(gpsPath[0].longitude, 7.5);
+    assert.equal(gpsPath[0].altitude, 100);
+    assert.equal(gpsPath[0].heartRate, 120);
+    assert.equal(gpsPath[0].power, undefined);
+  });
+
+  it('skips records without a position or timestamp', () => {
+    const gpsPath = fitRecordsToGpsPath([
+      { timestamp: new Date(START), positionLat: 45 },
+      { positionLat: 45, positionLong: 7.5 },
+      { timestamp: new Date(START), positionLat: 45, positionLong: 7.5 }
+    ]);
+
+    assert.equal(gpsPath.length, 1);
+    assert.equal(gpsPath[0].altitude, 0);
+  });
+});
+
+describe('fitLapsToSegments', () => {
+  it('converts laps to ride segments', () => {
+    const [segment] = fitLapsToSegments(parseFit(fixture('basic.fit')).laps);
+
+    assert.equal(segment.segmentNumber, 1);
+    assert.equal(segment.segmentName, 'Lap 1');
+    assert.equal(segment.segmentDistance, 0.222);
+    assert.equal(segment.segmentTime, 18);
+    assertNear(segment.segmentAverageSpeed, 0.222 / (18 / 3600));
+    assert.equal(segment.segmentStartTime.getTime(), START);
+    assert.equal(segment.segmentEndTime.getTime(), START + 20000);
+  });
+});
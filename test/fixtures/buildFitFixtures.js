@@ -0,0 +1,198 @@
+/**
+ * Writes the FIT fixtures used by test/fitParser.test.js
+ * Run with `node test/fixtures/buildFitFixtures.js` after changing a fixture.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+// Base types used by the fixtures (with the endian-ability bit the SDK sets)
+const TYPES = {
+  uint8: { baseType: 0x02, size: 1 },
+  uint16: { baseType: 0x84, size: 2 },
+  sint32: { baseType: 0x85, size: 4 },
+  uint32: { baseType: 0x86, size: 4 }
+};
+
+// Global message numbers
+const SESSION = 18;
+const LAP = 19;
+const RECORD = 20;
+
+// Shared start time of every fixture
+const START = Date.UTC(2024, 4, 1, 8, 0, 0);
+
+const fitTime = (ms) => Math.round(ms / 1000) - FIT_EPOCH_OFFSET;
+const semicircles = (degrees) => Math.round(degrees * 2147483648 / 180);
+
+const calculateCrc = (buffer) => {
+  let crc = 0;
+  for (const byte of buffer) {
+    let tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+    tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+  }
+  return crc;
+};
+
+const writeValue = (type, value, bigEndian) => {
+  const buffer = Buffer.alloc(TYPES[type].size);
+  if (type === 'uint8') buffer.writeUInt8(value);
+  if (type === 'uint16') buffer[bigEndian ? 'writeUInt16BE' : 'writeUInt16LE'](value);
+  if (type === 'sint32') buffer[bigEndian ? 'writeInt32BE' : 'writeInt32LE'](value);
+  if (type === 'uint32') buffer[bigEndian ? 'writeUInt32BE' : 'writeUInt32LE'](value);
+  return buffer;
+};
+
+/**
+ * Definition message
+ * @param {number} localType - Local message type (0-15)
+ * @param {number} globalNumber - Global message number
+ * @param {array} fields - [fieldNumber, type] pairs
+ * @param {object} options - { bigEndian, developerFields: [[number, size, developerIndex]] }
+ */
+const definition = (localType, globalNumber, fields, { bigEndian = false, developerFields = [] } = {}) => {
+  const bytes = [0x40 | (developerFields.length > 0 ? 0x20 : 0) | localType, 0, bigEndian ? 1 : 0];
+  bytes.push(...writeValue('uint16', globalNumber, bigEndian), fields.length);
+  fields.forEach(([number, type]) => bytes.push(number, TYPES[type].size, TYPES[type].baseType));
+
+  if (developerFields.length > 0) {
+    bytes.push(developerFields.length);
+    developerFields.forEach(field => bytes.push(...field));
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Data message
+ * @param {number} localType - Local message type
+ * @param {array} fields - [type, value] pairs in definition order
+ * @param {object} options - { bigEndian, developerBytes, timeOffset (compressed timestamp header) }
+ */
+const data = (localType, fields, { bigEndian = false, developerBytes = [], timeOffset = null } = {}) => {
+  const header = timeOffset === null ? localType : 0x80 | (localType << 5) | timeOffset;
+  return Buffer.concat([
+    Buffer.from([header]),
+    ...fields.map(([type, value]) => writeValue(type, value, bigEndian)),
+    Buffer.from(developerBytes)
+  ]);
+};
+
+/**
+ * Wrap messages in a 14-byte header and a trailing file CRC
+ * @param {array} messages - Message buffers
+ * @returns {Buffer} FIT file
+ */
+const fitFile = (messages) => {
+  const body = Buffer.concat(messages);
+  const header = Buffer.alloc(14);
+  header.writeUInt8(14, 0);
+  header.writeUInt8(0x20, 1); // protocol 2.0
+  header.writeUInt16LE(2132, 2); // profile 21.32
+  header.writeUInt32LE(body.length, 4);
+  header.write('.FIT', 8, 'ascii');
+  header.writeUInt16LE(calculateCrc(header.subarray(0, 12)), 12);
+
+  const file = Buffer.concat([header, body, Buffer.alloc(2)]);
+  file.writeUInt16LE(calculateCrc(file.subarray(0, file.length - 2)), file.length - 2);
+  return file;
+};
+
+// Three records with position, altitude and heart rate, then a lap and a session
+const RECORD_FIELDS = [[253, 'uint32'], [0, 'sint32'], [1, 'sint32'], [2, 'uint16'], [3, 'uint8']];
+const SUMMARY_FIELDS = [[253, 'uint32'], [2, 'uint32'], [7, 'uint32'], [8, 'uint32'], [9, 'uint32']];
+
+const recordValues = (i) => [
+  ['uint32', fitTime(START) + i * 10],
+  ['sint32', semicircles(45 + i * 0.001)],
+  ['sint32', semicircles(7.5)],
+  ['uint16', (100 + i + 500) * 5], // 100 m and up
+  ['uint8', 120 + i]
+];
+
+const summaryValues = [
+  ['uint32', fitTime(START) + 20],
+  ['uint32', fitTime(START)],
+  ['uint32', 20000], // 20 s
+  ['uint32', 18000], // 18 s
+  ['uint32', 22200] // 222 m
+];
+
+const basicMessages = (bigEndian) => [
+  definition(0, RECORD, RECORD_FIELDS, { bigEndian }),
+  ...[0, 1, 2].map(i => data(0, recordValues(i), { bigEndian })),
+  definition(1, LAP, SUMMARY_FIELDS, { bigEndian }),
+  data(1, summaryValues, { bigEndian }),
+  definition(2, SESSION, SUMMARY_FIELDS, { bigEndian }),
+  data(2, summaryValues, { bigEndian })
+];
+
+const basic = fitFile(basicMessages(false));
+
+// Same content with big-endian definitions and values
+const bigEndian = fitFile(basicMessages(true));
+
+// One full timestamp, then records carrying only a 5-bit time offset;
+// the last offset (2) is below the previous one (30) and rolls over
+const compressedStart = fitTime(START) - (fitTime(START) % 32) + 28;
+const compressedTimestamps = fitFile([
+  definition(0, RECORD, [[253, 'uint32'], [0, 'sint32'], [1, 'sint32']]),
+  data(0, [['uint32', compressedStart], ['sint32', semicircles(45)], ['sint32', semicircles(7.5)]]),
+  definition(1, RECORD, [[0, 'sint32'], [1, 'sint32']]),
+  ...[30, 2].map((timeOffset, i) =>
+    data(1, [['sint32', semicircles(45.001 + i * 0.001)], ['sint32', semicircles(7.5)]], { timeOffset })
+  )
+]);
+
+// Records with two developer fields (3 bytes) between messages
+const developerFields = fitFile([
+  definition(0, RECORD, [[253, 'uint32'], [0, 'sint32'], [1, 'sint32'], [7, 'uint16']], {
+    developerFields: [[0, 2, 0], [1, 1, 0]]
+  }),
+  ...[0, 1].map(i => data(0, [
+    ['uint32', fitTime(START) + i],
+    ['sint32', semicircles(45 + i * 0.001)],
+    ['sint32', semicircles(7.5)],
+    ['uint16', 200 + i]
+  ], { developerBytes: [0xAB, 0xCD, 0xEF] }))
+]);
+
+// The header declares more data than the file holds
+const truncated = basic.subarray(0, basic.length - 20);
+
+// Consistent header and CRC, but the last data message is cut short
+const truncatedMessage = fitFile([
+  definition(0, RECORD, RECORD_FIELDS),
+  data(0, recordValues(0)),
+  data(0, recordValues(1)).subarray(0, 6)
+]);
+
+// Valid file with a flipped byte in the data
+const badCrc = Buffer.from(basic);
+badCrc[20] ^= 0xFF;
+
+const FIXTURES = {
+  'basic.fit': basic,
+  'big-endian.fit': bigEndian,
+  'compressed-timestamps.fit': compressedTimestamps,
+  'developer-fields.fit': developerFields,
+  'truncated.fit': truncated,
+  'truncated-message.fit': truncatedMessage,
+  'bad-crc.fit': badCrc
+};
+
+Object.entries(FIXTURES).forEach(([name, buffer]) => {
+  fs.writeFileSync(path.join(__dirname, name), buffer);
+  console.log(`Wrote ${name} (${buffer.length} bytes)`);
+});
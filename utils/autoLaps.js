@@ -0,0 +1,122 @@
+const { calculateDistance } = require('./helpers');
+const { deriveSensorSummary } = require('./sensorMetrics');
+
+// Allowed split distances (km)
+const MIN_SPLIT_DISTANCE = 0.1;
+const MAX_SPLIT_DISTANCE = 100;
+
+// Leftover distance (km) too small to count as a final lap
+const PARTIAL_LAP_EPSILON = 1e-6;
+
+/**
+ * Interpolate time and altitude at a fraction of the way from one point to the next
+ * @param {object} from - GPS point
+ * @param {object} to - Following GPS point
+ * @param {number} fraction - 0 at from, 1 at to
+ * @returns {object} { time (ms), altitude (null if either point lacks one) }
+ */
+const interpolateBoundary = (from, to, fraction) => {
+  const fromTime = new Date(from.timestamp).getTime();
+  const toTime = new Date(to.timestamp).getTime();
+  const hasAltitude = typeof from.altitude === 'number' && typeof to.altitude === 'number';
+
+  return {
+    time: fromTime + (toTime - fromTime) * fraction,
+    altitude: hasAltitude ? from.altitude + (to.altitude - from.altitude) * fraction : null
+  };
+};
+
+/**
+ * Split a GPS path into laps of a fixed distance
+ * Lap boundaries are interpolated at each multiple of the split distance,
+ * so every full lap covers exactly that distance and the next lap starts
+ * at the boundary; the last lap holds whatever distance is left. Time
+ * inside the ride's pauses is excluded from lap times and speeds.
+ * @param {array} gpsPath - Chronological processed GPS points
+ * @param {number} splitDistance - Lap distance in km
+ * @param {array} pauses - The ride's pauses (indexes into gpsPath)
+ * @returns {array} Splits of { splitNumber, startIndex, endIndex, startTime, endTime,
+ *   distance, elapsedTime, movingTime, averageSpeed, elevationChange,
+ *   averageHeartRate, averagePower } where startIndex and endIndex are
+ *   the points at or just outside the lap's boundaries
+ */
+const computeSplits = (gpsPath, splitDistance, pauses = []) => {
+  if (!gpsPath || gpsPath.length < 2 || !(splitDistance > 0)) return [];
+
+  const paused = new Array(gpsPath.length).fill(false);
+  pauses.forEach(pause => {
+    for (let i = pause.startIndex + 1; i <= pause.endIndex && i < gpsPath.length; i++) paused[i] = true;
+  });
+
+  const splits = [];
+
+  const addSplit = (lap, end, boundary, distance) => {
+    const sensors = deriveSensorSummary(gpsPath.slice(lap.startIndex, end + 1));
+    const hasAltitude = lap.altitude !== null && boundary.altitude !== null;
+
+    splits.push({
+      splitNumber: splits.length + 1,
+      startIndex: lap.startIndex,
+      endIndex: end,
+      startTime: new Date(lap.time),
+      endTime: new Date(boundary.time),
+      distance: Math.round(distance * 1000) / 1000,
+      elapsedTime: Math.round((boundary.time - lap.time) / 1000),
+      movingTime: Math.round(lap.movingTime),
+      averageSpeed: lap.movingTime > 0 ? Math.round(distance / (lap.movingTime / 3600) * 100) / 100 : 0,
+      elevationChange: hasAltitude ? Math.round(boundary.altitude - lap.altitude) : null,
+      averageHeartRate: sensors.averageHeartRate,
+      averagePower: sensors.averagePower
+    });
+  };
+
+  let lap = { startIndex: 0, ...interpolateBoundary(gpsPath[0], gpsPath[0], 0), distance: 0, movingTime: 0 };
+
+  for (let i = 1; i < gpsPath.length; i++) {
+    const from = gpsPath[i - 1];
+    const to = gpsPath[i];
+    const segmentDistance = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+    const segmentTime = paused[i] ? 0 : Math.max((new Date(to.timestamp) - new Date(from.timestamp)) / 1000, 0);
+    let covered = 0;
+
+    // A long segment can hold several boundaries
+    while (segmentDistance > 0 && lap.distance + segmentDistance - covered >= splitDistance) {
+      const needed = splitDistance - lap.distance;
+      covered += needed;
+      lap.movingTime += segmentTime * needed / segmentDistance;
+
+      const fraction = covered / segmentDistance;
+      const boundary = interpolateBoundary(from, to, fraction);
+      addSplit(lap, i, boundary, splitDistance);
+      lap = { startIndex: fraction < 1 ? i - 1 : i, ...boundary, distance: 0, movingTime: 0 };
+    }
+
+    lap.distance += segmentDistance - covered;
+    lap.movingTime += segmentDistance > 0 ? segmentTime * (segmentDistance - covered) / segmentDistance : segmentTime;
+  }
+
+  // Remaining partial lap, ignoring rounding leftovers from the last boundary
+  if (lap.distance > PARTIAL_LAP_EPSILON) {
+    const last = gpsPath.length - 1;
+    addSplit(lap, last, interpolateBoundary(gpsPath[last], gpsPath[last], 0), lap.distance);
+  }
+
+  return splits;
+};
+
+/**
+ * Parse a split distance from a query or body value
+ * @param {*} value - Requested distance in km
+ * @returns {number|null} Distance, or null if missing or out of range
+ */
+const parseSplitDistance = (value) => {
+  const distance = parseFloat(value);
+  return distance >= MIN_SPLIT_DISTANCE && distance <= MAX_SPLIT_DISTANCE ? distance : null;
+};
+
+module.exports = {
+  MIN_SPLIT_DISTANCE,
+  MAX_SPLIT_DISTANCE,
+  computeSplits,
+  parseSplitDistance
+};
@@ -0,0 +1,70 @@
+const { calculateDistance } = require('./helpers');
+
+// Best effort distances in km
+const BEST_EFFORT_DISTANCES = [1, 5, 10, 20, 25, 50, 75, 100];
+
+/**
+ * Find the fastest contiguous window of the GPS path for each distance
+ * Uses a sliding window over cumulative distance; the window end is
+ * interpolated so the time covers exactly the target distance.
+ * @param {array} gpsPath - Chronological GPS points
+ * @param {array} distances - Target distances in km
+ * @returns {array} Efforts of { distance, time, startIndex, endIndex, startTime, endTime }
+ */
+const findBestEfforts = (gpsPath, distances = BEST_EFFORT_DISTANCES) => {
+  if (!gpsPath || gpsPath.length < 2) return [];
+
+  const times = gpsPath.map(point => new Date(point.timestamp).getTime());
+  const cumulative = [0];
+  for (let i = 1; i < gpsPath.length; i++) {
+    cumulative.push(cumulative[i - 1] + calculateDistance(
+      gpsPath[i - 1].latitude,
+      gpsPath[i - 1].longitude,
+      gpsPath[i].latitude,
+      gpsPath[i].longitude
+    ));
+  }
+  const total = cumulative[cumulative.length - 1];
+
+  const efforts = [];
+
+  distances.filter(distance => distance <= total).forEach(distance => {
+    let best = null;
+    let start = 0;
+
+    for (let end = 1; end < gpsPath.length; end++) {
+      if (cumulative[end] - cumulative[start] < distance) continue;
+
+      // Move the start as late as possible while still covering the distance
+      while (cumulative[end] - cumulative[start + 1] >= distance) start++;
+
+      const covered = cumulative[end - 1] - cumulative[start];
+      const stepDistance = cumulative[end] - cumulative[end - 1];
+      const fraction = stepDistance > 0 ? (distance - covered) / stepDistance : 1;
+      const endTime = times[end - 1] + (times[end] - times[end - 1]) * Math.min(Math.max(fraction, 0), 1);
+      const seconds = (endTime - times[start]) / 1000;
+
+      if (seconds > 0 && (!best || seconds < best.time)) {
+        best = { time: seconds, startIndex: start, endIndex: end, endTime };
+      }
+    }
+
+    if (best) {
+      efforts.push({
+        distance,
+        time: Math.round(best.time),
+        startIndex: best.startIndex,
+        endIndex: best.endIndex,
+        startTime: new Date(times[best.startIndex]),
+        endTime: new Date(best.endTime)
+      });
+    }
+  });
+
+  return efforts;
+};
+
+module.exports = {
+  BEST_EFFORT_DISTANCES,
+  findBestEfforts
+};
@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const Ride = require('../models/Ride');
 const WeeklyStats = require('../models/WeeklyStats');
+const DailyTrainingLoad = require('../models/DailyTrainingLoad');
+const { DAY_MS, startOfDay, advanceTrainingLoad } = require('./trainingLoad');
 
 /**
  * Calculate coins earned for a ride
@@ -63,25 +65,38 @@ const updateUserStats = async (userId, ride) => {
 };
 
 /**
- * Update best efforts (10km, 20km, 25km, 50km, 75km, 100km)
+ * Update best efforts from the fastest windows found along the ride's GPS path
+ * Rides without a GPS path have no measured efforts and are skipped.
  * @param {object} user - User object
  * @param {object} ride - Ride object
  */
 const updateBestEfforts = async (user, ride) => {
-  const effortDistances = [10, 20, 25, 50, 75, 100];
-
-  effortDistances.forEach(distance => {
-    // Only update if ride distance meets or exceeds the effort distance
-    if (ride.distance >= distance) {
-      // Calculate time for this distance based on average speed
-      const timeForDistance = (distance / ride.averageSpeed) * 3600; // in seconds
-      
-      const effortKey = `best${distance}kmTime`;
-      
-      // Update if it's a new record
-      if (user[effortKey] === null || timeForDistance < user[effortKey]) {
-        user[effortKey] = timeForDistance;
-      }
+  (ride.bestEfforts || []).forEach(effort => {
+    const current = user.bestEfforts.find(record => record.distance === effort.distance);
+
+    // Update if it's a new record
+    if (current && current.time <= effort.time) return;
+
+    const record = {
+      distance: effort.distance,
+      time: effort.time,
+      rideId: ride._id,
+      startIndex: effort.startIndex,
+      endIndex: effort.endIndex,
+      startTime: effort.startTime,
+      endTime: effort.endTime
+    };
+
+    if (current) {
+      current.set(record);
+    } else {
+      user.bestEfforts.push(record);
+    }
+
+    // Keep the per-distance time fields in sync
+    const effortKey = `best${effort.distance}kmTime`;
+    if (user.schema.path(effortKey)) {
+      user[effortKey] = effort.time;
     }
   });
 };
@@ -105,7 +120,23 @@ const updateWeeklyStats = async (userId, ride) => {
     weeklyStat.totalMovingTime += ride.movingTime;
 
     // Recalculate average speed
-    weeklyStat.averageSpeed = weeklyStat.totalDistance / (weeklyStat.totalMovingTime / 3600);
+    weeklyStat.averageSpeed = weeklyStat.totalMovingTime > 0
+      ? weeklyStat.totalDistance / (weeklyStat.totalMovingTime / 3600)
+      : 0;
+
+    // Add estimated energy
+    const energy = ride.energy || {};
+    weeklyStat.totalKilojoules += energy.kilojoules || 0;
+    weeklyStat.totalCalories += energy.calories || 0;
+
+    // Add time in zones
+    const zones = ride.timeInZones || {};
+    (zones.heartRate || []).forEach(zone => {
+      weeklyStat.heartRateZoneTime.set(zone.zone - 1, (weeklyStat.heartRateZoneTime[zone.zone - 1] || 0) + zone.time);
+    });
+    (zones.power || []).forEach(zone => {
+      weeklyStat.powerZoneTime.set(zone.zone - 1, (weeklyStat.powerZoneTime[zone.zone - 1] || 0) + zone.time);
+    });
 
     await weeklyStat.save();
     return weeklyStat;
@@ -115,6 +146,126 @@ const updateWeeklyStats = async (userId, ride) => {
   }
 };
 
+/**
+ * Rebuild all of a user's weekly statistics from their rides
+ * Used after rides are deleted or their metrics or zones change.
+ * @param {string} userId - User ID
+ */
+const recalculateWeeklyStats = async (userId) => {
+  try {
+    await WeeklyStats.deleteMany({ userId });
+
+    const rides = await Ride.find({ userId })
+      .sort({ activityDate: 1 })
+      .select('activityDate distance coinsEarned movingTime energy timeInZones');
+
+    for (const ride of rides) {
+      await updateWeeklyStats(userId, ride);
+    }
+  } catch (error) {
+    console.error('Error recalculating weekly stats:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rebuild a user's daily training load from a given day up to today
+ * Days before fromDate are kept and seed the running averages.
+ * @param {string} userId - User ID
+ * @param {Date} fromDate - First day that changed (omit to rebuild everything)
+ */
+const updateTrainingLoad = async (userId, fromDate = null) => {
+  try {
+    const from = fromDate ? startOfDay(fromDate) : null;
+    const seed = from
+      ? await DailyTrainingLoad.findOne({ userId, date: { $lt: from } }).sort({ date: -1 })
+      : null;
+
+    let start;
+    if (seed) {
+      // Also fills any idle days between the seed and fromDate
+      start = new Date(seed.date.getTime() + DAY_MS);
+    } else {
+      const firstRide = await Ride.findOne({ userId }).sort({ activityDate: 1 }).select('activityDate');
+      if (!firstRide) {
+        await DailyTrainingLoad.deleteMany({ userId });
+        return;
+      }
+      start = startOfDay(firstRide.activityDate);
+      if (from && from < start) start = from;
+    }
+
+    await DailyTrainingLoad.deleteMany({ userId, date: { $gte: start } });
+
+    const rides = await Ride.find({ userId, activityDate: { $gte: start } })
+      .select('activityDate trainingLoad.score');
+
+    const dailyStress = new Map();
+    let end = startOfDay(new Date());
+    rides.forEach(ride => {
+      const day = startOfDay(ride.activityDate);
+      const score = (ride.trainingLoad || {}).score || 0;
+      dailyStress.set(day.getTime(), (dailyStress.get(day.getTime()) || 0) + score);
+      if (day > end) end = day;
+    });
+
+    const days = [];
+    let previous = seed ? { ctl: seed.ctl, atl: seed.atl } : { ctl: 0, atl: 0 };
+    for (let time = start.getTime(); time <= end.getTime(); time += DAY_MS) {
+      const tss = Math.round((dailyStress.get(time) || 0) * 10) / 10;
+      previous = advanceTrainingLoad(previous, tss);
+      days.push({ userId, date: new Date(time), ...previous });
+    }
+
+    await DailyTrainingLoad.insertMany(days);
+  } catch (error) {
+    console.error('Error updating training load:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's daily training load for charting
+ * Days after the last stored one decay as rest days.
+ * @param {string} userId - User ID
+ * @param {number} days - Number of days up to today (default 90)
+ * @returns {array} Array of { date, tss, ctl, atl, tsb }
+ */
+const getTrainingLoadSeries = async (userId, days = 90) => {
+  try {
+    const today = startOfDay(new Date());
+    const from = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+    const seed = await DailyTrainingLoad.findOne({ userId, date: { $lt: from } }).sort({ date: -1 });
+    const records = await DailyTrainingLoad.find({ userId, date: { $gte: from, $lte: today } });
+    const byDay = new Map(records.map(record => [record.date.getTime(), record]));
+
+    // Carry the seed forward to the day before the range
+    let previous = seed ? { ctl: seed.ctl, atl: seed.atl } : { ctl: 0, atl: 0 };
+    if (seed) {
+      for (let time = seed.date.getTime() + DAY_MS; time < from.getTime(); time += DAY_MS) {
+        previous = advanceTrainingLoad(previous, 0);
+      }
+    }
+
+    const series = [];
+    for (let time = from.getTime(); time <= today.getTime(); time += DAY_MS) {
+      const record = byDay.get(time);
+      const day = record
+        ? { tss: record.tss, ctl: record.ctl, atl: record.atl, tsb: record.tsb }
+        : advanceTrainingLoad(previous, 0);
+
+      series.push({ date: new Date(time), ...day });
+      previous = day;
+    }
+
+    return series;
+  } catch (error) {
+    console.error('Error getting training load series:', error);
+    throw error;
+  }
+};
+
 /**
  * Recalculate all user statistics from scratch
  * Useful for data consistency or after deleting rides
@@ -141,6 +292,7 @@ const recalculateUserStats = async (userId) => {
     user.best50kmTime = null;
     user.best75kmTime = null;
     user.best100kmTime = null;
+    user.bestEfforts = [];
 
     const currentYear = new Date().getFullYear();
 
@@ -249,7 +401,10 @@ module.exports = {
   updateUserStats,
   updateBestEfforts,
   updateWeeklyStats,
+  recalculateWeeklyStats,
   recalculateUserStats,
+  updateTrainingLoad,
+  getTrainingLoadSeries,
   getWeeklyGraphData,
   formatTime,
   formatDistance,
@@ -0,0 +1,180 @@
+const { calculateDistance } = require('./helpers');
+const { climbDetection } = require('../config/ride');
+
+// Minimum climb score (length in m × average gradient in %) for each category
+const CLIMB_CATEGORIES = [
+  { category: 'HC', score: 80000 },
+  { category: '1', score: 64000 },
+  { category: '2', score: 32000 },
+  { category: '3', score: 16000 },
+  { category: '4', score: 8000 }
+];
+
+// Max gradient is measured over stretches of at least this length (meters)
+const MAX_GRADIENT_WINDOW = 100;
+
+// Flat stretches within this height (meters) of the foot or summit are trimmed off
+const FLAT_TOLERANCE = 2;
+
+/**
+ * Category for a climb (Strava-style length × gradient score)
+ * @param {number} length - Climb length in meters
+ * @param {number} averageGradient - Average gradient in %
+ * @returns {string|null} 'HC', '1', '2', '3', '4' or null if uncategorised
+ */
+const categorizeClimb = (length, averageGradient) => {
+  const score = length * averageGradient;
+  const match = CLIMB_CATEGORIES.find(entry => score >= entry.score);
+  return match ? match.category : null;
+};
+
+/**
+ * Altitude profile of a path: points with an altitude, their cumulative
+ * distance and altitude averaged over a distance window
+ * @param {array} gpsPath - Chronological GPS points
+ * @param {number} smoothingDistance - Averaging window (meters)
+ * @returns {object} { indexes, distances, altitudes } aligned arrays
+ */
+const buildAltitudeProfile = (gpsPath, smoothingDistance) => {
+  const indexes = [];
+  const distances = [];
+  const raw = [];
+
+  let cumulative = 0;
+  gpsPath.forEach((point, i) => {
+    if (i > 0) {
+      cumulative += calculateDistance(
+        gpsPath[i - 1].latitude,
+        gpsPath[i - 1].longitude,
+        point.latitude,
+        point.longitude
+      ) * 1000;
+    }
+    if (typeof point.altitude === 'number' && Number.isFinite(point.altitude)) {
+      indexes.push(i);
+      distances.push(cumulative);
+      raw.push(point.altitude);
+    }
+  });
+
+  // Centered moving average over distance, so GPS altitude noise isn't read as climbing
+  const half = smoothingDistance / 2;
+  const altitudes = [];
+  let from = 0;
+  let to = 0;
+  let sum = 0;
+  for (let i = 0; i < raw.length; i++) {
+    while (to < raw.length && distances[to] - distances[i] <= half) sum += raw[to++];
+    while (distances[i] - distances[from] > half) sum -= raw[from++];
+    altitudes.push(sum / (to - from));
+  }
+
+  return { indexes, distances, altitudes };
+};
+
+/**
+ * Steepest gradient over any stretch of at least MAX_GRADIENT_WINDOW
+ * @param {object} profile - Result of buildAltitudeProfile
+ * @param {number} start - First profile index of the climb
+ * @param {number} end - Last profile index of the climb
+ * @returns {number} Gradient in %
+ */
+const maxGradientBetween = (profile, start, end) => {
+  const { distances, altitudes } = profile;
+  let max = 0;
+  let from = start;
+
+  for (let to = start + 1; to <= end; to++) {
+    while (from + 1 < to && distances[to] - distances[from + 1] >= MAX_GRADIENT_WINDOW) from++;
+
+    const length = distances[to] - distances[from];
+    if (length < MAX_GRADIENT_WINDOW) continue;
+
+    max = Math.max(max, (altitudes[to] - altitudes[from]) / length * 100);
+  }
+
+  return max;
+};
+
+/**
+ * Detect climbs in a GPS path
+ * A climb runs from a low point to the highest point reached before the
+ * road drops more than maxDip; smaller dips are absorbed into the climb.
+ * Indexes refer to points of the given path.
+ * @param {array} gpsPath - Chronological processed GPS points
+ * @param {object} options - Detection settings (defaults to config)
+ * @returns {array} Climbs of { startIndex, endIndex, startTime, endTime, startDistance,
+ *   distance, elevationGain, startAltitude, endAltitude, averageGradient, maxGradient,
+ *   time, vam, category }
+ */
+const detectClimbs = (gpsPath, options = climbDetection) => {
+  if (!gpsPath || gpsPath.length < 2) return [];
+
+  const profile = buildAltitudeProfile(gpsPath, options.smoothingDistance);
+  const { indexes, distances, altitudes } = profile;
+  if (altitudes.length < 2) return [];
+
+  const climbs = [];
+
+  const addClimb = (foot, summit) => {
+    // Trim flat lead-in and run-out so they don't dilute the gradient
+    let start = foot;
+    while (start < summit && altitudes[start + 1] <= altitudes[foot] + FLAT_TOLERANCE) start++;
+    let top = summit;
+    while (top > start && altitudes[top - 1] >= altitudes[summit] - FLAT_TOLERANCE) top--;
+
+    const length = distances[top] - distances[start];
+    const gain = altitudes[top] - altitudes[start];
+    if (length < options.minLength || gain <= 0) return;
+
+    const averageGradient = gain / length * 100;
+    if (averageGradient < options.minGradient) return;
+
+    const startPoint = gpsPath[indexes[start]];
+    const endPoint = gpsPath[indexes[top]];
+    const time = Math.round((new Date(endPoint.timestamp) - new Date(startPoint.timestamp)) / 1000);
+
+    climbs.push({
+      startIndex: indexes[start],
+      endIndex: indexes[top],
+      startTime: new Date(startPoint.timestamp),
+      endTime: new Date(endPoint.timestamp),
+      startDistance: Math.round(distances[start]) / 1000,
+      distance: Math.round(length) / 1000,
+      elevationGain: Math.round(gain),
+      startAltitude: Math.round(altitudes[start]),
+      endAltitude: Math.round(altitudes[top]),
+      averageGradient: Math.round(averageGradient * 10) / 10,
+      maxGradient: Math.round(Math.max(maxGradientBetween(profile, start, top), averageGradient) * 10) / 10,
+      time,
+      vam: time > 0 ? Math.round(gain / (time / 3600)) : null,
+      category: categorizeClimb(length, averageGradient)
+    });
+  };
+
+  let start = 0;
+  let top = 0;
+  for (let i = 1; i < altitudes.length; i++) {
+    if (altitudes[i] > altitudes[top]) {
+      top = i;
+    } else if (altitudes[top] - altitudes[i] > options.maxDip) {
+      // Dropped too far below the top - the climb is over
+      addClimb(start, top);
+      start = i;
+      top = i;
+    } else if (altitudes[i] < altitudes[start]) {
+      // Still going down before any real climbing - move the start
+      start = i;
+      top = i;
+    }
+  }
+  addClimb(start, top);
+
+  return climbs;
+};
+
+module.exports = {
+  CLIMB_CATEGORIES,
+  categorizeClimb,
+  detectClimbs
+};
@@ -0,0 +1,99 @@
+// Profile values assumed when the user hasn't filled them in
+const DEFAULT_WEIGHT = 75; // kg
+const DEFAULT_AGE = 35;
+
+// Share of metabolic energy that ends up as work on the pedals
+const GROSS_EFFICIENCY = 0.24;
+
+const KJ_PER_KCAL = 4.184;
+const GRAVITY = 9.81;
+
+// Cycling MET values by speed (Compendium of Physical Activities)
+// Each entry applies from its speed (km/h) up to the next one
+const SPEED_METS = [
+  { speed: 0, met: 4.0 },
+  { speed: 16, met: 6.8 },
+  { speed: 19, met: 8.0 },
+  { speed: 22, met: 10.0 },
+  { speed: 25, met: 12.0 },
+  { speed: 30, met: 15.8 }
+];
+
+/**
+ * Calories burnt per minute from heart rate (Keytel et al., 2005)
+ * Sexes other than Male / Female use the mean of both equations.
+ * @param {number} heartRate - Average heart rate (bpm)
+ * @param {number} weight - Body weight (kg)
+ * @param {number} age - Age (years)
+ * @param {string} sex - Profile sex
+ * @returns {number} kcal per minute
+ */
+const heartRateCaloriesPerMinute = (heartRate, weight, age, sex) => {
+  const male = (-55.0969 + 0.6309 * heartRate + 0.1988 * weight + 0.2017 * age) / KJ_PER_KCAL;
+  const female = (-20.4022 + 0.4472 * heartRate - 0.1263 * weight + 0.074 * age) / KJ_PER_KCAL;
+
+  if (sex === 'Male') return male;
+  if (sex === 'Female') return female;
+  return (male + female) / 2;
+};
+
+/**
+ * MET value for an average riding speed
+ * @param {number} speed - Average speed (km/h)
+ * @returns {number} MET
+ */
+const metForSpeed = (speed) => {
+  let index = SPEED_METS.length - 1;
+  while (index > 0 && speed < SPEED_METS[index].speed) index--;
+  return SPEED_METS[index].met;
+};
+
+/**
+ * Energy spent on a ride
+ * power - Work from average power; calories through gross efficiency
+ * heartRate - Keytel heart rate equations over the moving time
+ * speed - MET for the average speed plus the work of lifting the rider
+ *   up the elevation gained
+ * kilojoules is mechanical work; for heartRate and speed it is derived
+ * from calories through gross efficiency.
+ * @param {object} ride - Ride with movingTime, averageSpeed, elevationGained and sensor summaries
+ * @param {object} user - Rider (age, sex, weight)
+ * @returns {object} { kilojoules, calories, method, weight, computedAt }
+ */
+const computeRideEnergy = (ride, user) => {
+  const weight = (user && user.weight) || DEFAULT_WEIGHT;
+  const age = (user && user.age) || DEFAULT_AGE;
+  const minutes = (ride.movingTime || 0) / 60;
+
+  let kilojoules;
+  let calories;
+  let method;
+
+  if (ride.averagePower) {
+    kilojoules = ride.averagePower * minutes * 60 / 1000;
+    calories = kilojoules / (GROSS_EFFICIENCY * KJ_PER_KCAL);
+    method = 'power';
+  } else if (ride.averageHeartRate) {
+    calories = Math.max(heartRateCaloriesPerMinute(ride.averageHeartRate, weight, age, user && user.sex), 0) * minutes;
+    kilojoules = calories * KJ_PER_KCAL * GROSS_EFFICIENCY;
+    method = 'heartRate';
+  } else {
+    const climbKilojoules = weight * GRAVITY * (ride.elevationGained || 0) / 1000;
+    calories = metForSpeed(ride.averageSpeed || 0) * weight * minutes / 60 +
+      climbKilojoules / (GROSS_EFFICIENCY * KJ_PER_KCAL);
+    kilojoules = calories * KJ_PER_KCAL * GROSS_EFFICIENCY;
+    method = 'speed';
+  }
+
+  return {
+    kilojoules: Math.round(kilojoules),
+    calories: Math.round(calories),
+    method,
+    weight,
+    computedAt: new Date()
+  };
+};
+
+module.exports = {
+  computeRideEnergy
+};
@@ -0,0 +1,36 @@
+const User = require('../models/User');
+const Ride = require('../models/Ride');
+const { computeRideEnergy } = require('./energyExpenditure');
+const { recalculateWeeklyStats } = require('./calculateStats');
+
+/**
+ * Re-estimate energy for every ride of a user from their current profile,
+ * then rebuild their weekly statistics
+ * @param {string} userId - User ID
+ * @param {function} onProgress - Optional async callback (processed, total)
+ * @returns {number} Rides updated
+ */
+const recalculateUserEnergy = async (userId, onProgress = async () => {}) => {
+  const user = await User.findById(userId).select('age sex weight');
+  if (!user) throw new Error('User not found');
+
+  const rides = await Ride.find({ userId })
+    .select('movingTime averageSpeed elevationGained averageHeartRate averagePower energy');
+
+  await onProgress(0, rides.length);
+
+  for (let i = 0; i < rides.length; i++) {
+    rides[i].energy = computeRideEnergy(rides[i], user);
+    await rides[i].save();
+
+    await onProgress(i + 1, rides.length);
+  }
+
+  await recalculateWeeklyStats(userId);
+
+  return rides.length;
+};
+
+module.exports = {
+  recalculateUserEnergy
+};
@@ -0,0 +1,359 @@
+/**
+ * Garmin FIT activity file decoder
+ * Decodes the record, lap and session messages needed to build a ride.
+ * Every other message, and any developer data fields, are skipped.
+ */
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+
+// Degrees per semicircle (2^31 semicircles = 180 degrees)
+const SEMICIRCLE_TO_DEGREES = 180 / 2147483648;
+
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+/**
+ * FIT base types keyed by base type number (low 5 bits)
+ * size - Bytes per value
+ * read - DataView reader name
+ * invalid - Value meaning "no data"
+ */
+const BASE_TYPES = {
+  0: { size: 1, read: 'getUint8', invalid: 0xFF }, // enum
+  1: { size: 1, read: 'getInt8', invalid: 0x7F }, // sint8
+  2: { size: 1, read: 'getUint8', invalid: 0xFF }, // uint8
+  3: { size: 2, read: 'getInt16', invalid: 0x7FFF }, // sint16
+  4: { size: 2, read: 'getUint16', invalid: 0xFFFF }, // uint16
+  5: { size: 4, read: 'getInt32', invalid: 0x7FFFFFFF }, // sint32
+  6: { size: 4, read: 'getUint32', invalid: 0xFFFFFFFF }, // uint32
+  7: { size: 1, read: null, invalid: null }, // string
+  8: { size: 4, read: 'getFloat32', invalid: null }, // float32
+  9: { size: 8, read: 'getFloat64', invalid: null }, // float64
+  10: { size: 1, read: 'getUint8', invalid: 0x00 }, // uint8z
+  11: { size: 2, read: 'getUint16', invalid: 0x0000 }, // uint16z
+  12: { size: 4, read: 'getUint32', invalid: 0x00000000 }, // uint32z
+  13: { size: 1, read: null, invalid: null }, // byte
+  14: { size: 8, read: null, invalid: null }, // sint64
+  15: { size: 8, read: null, invalid: null }, // uint64
+  16: { size: 8, read: null, invalid: null } // uint64z
+};
+
+/**
+ * Profile subset: global message number -> field definitions
+ * Each field is { name, scale, offset, kind } where kind is
+ * 'time' (FIT timestamp) or 'semicircles' (position).
+ */
+const MESSAGES = {
+  18: {
+    name: 'session',
+    fields: {
+      253: { name: 'timestamp', kind: 'time' },
+      2: { name: 'startTime', kind: 'time' },
+      7: { name: 'totalElapsedTime', scale: 1000 },
+      8: { name: 'totalTimerTime', scale: 1000 },
+      9: { name: 'totalDistance', scale: 100 },
+      14: { name: 'avgSpeed', scale: 1000 },
+      15: { name: 'maxSpeed', scale: 1000 },
+      22: { name: 'totalAscent' },
+      124: { name: 'enhancedAvgSpeed', scale: 1000 },
+      125: { name: 'enhancedMaxSpeed', scale: 1000 }
+    }
+  },
+  19: {
+    name: 'lap',
+    fields: {
+      253: { name: 'timestamp', kind: 'time' },
+      2: { name: 'startTime', kind: 'time' },
+      7: { name: 'totalElapsedTime', scale: 1000 },
+      8: { name: 'totalTimerTime', scale: 1000 },
+      9: { name: 'totalDistance', scale: 100 },
+      13: { name: 'avgSpeed', scale: 1000 },
+      14: { name: 'maxSpeed', scale: 1000 },
+      21: { name: 'totalAscent' },
+      110: { name: 'enhancedAvgSpeed', scale: 1000 },
+      111: { name: 'enhancedMaxSpeed', scale: 1000 }
+    }
+  },
+  20: {
+    name: 'record',
+    fields: {
+      253: { name: 'timestamp', kind: 'time' },
+      0: { name: 'positionLat', kind: 'semicircles' },
+      1: { name: 'positionLong', kind: 'semicircles' },
+      2: { name: 'altitude', scale: 5, offset: 500 },
+      3: { name: 'heartRate' },
+      4: { name: 'cadence' },
+      5: { name: 'distance', scale: 100 },
+      6: { name: 'speed', scale: 1000 },
+      7: { name: 'power' },
+      13: { name: 'temperature' },
+      73: { name: 'enhancedSpeed', scale: 1000 },
+      78: { name: 'enhancedAltitude', scale: 5, offset: 500 }
+    }
+  }
+};
+
+/**
+ * Compute the FIT CRC-16 of a byte range
+ * @param {Buffer} buffer - File contents
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (exclusive)
+ * @returns {number} CRC value
+ */
+const calculateCrc = (buffer, start, end) => {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    const byte = buffer[i];
+    let tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+    tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+  }
+  return crc;
+};
+
+/**
+ * Read and convert a single field value
+ * @param {DataView} view - View over the file
+ * @param {number} offset - Byte offset of the field
+ * @param {object} field - Field definition { size, baseType, littleEndian }
+ * @param {object} profile - Profile entry for this field
+ * @returns {number|Date|undefined} Converted value, undefined when invalid
+ */
+const readFieldValue = (view, offset, field, profile) => {
+  const baseType = BASE_TYPES[field.baseType & 0x1F];
+  if (!baseType || !baseType.read || field.size < baseType.size) return undefined;
+
+  // Arrays only matter for fields we do not decode, so read the first element
+  const raw = view[baseType.read](offset, field.littleEndian);
+  if (raw === baseType.invalid || Number.isNaN(raw)) return undefined;
+
+  if (profile.kind === 'time') {
+    return new Date((raw + FIT_EPOCH_OFFSET) * 1000);
+  }
+  if (profile.kind === 'semicircles') {
+    return raw * SEMICIRCLE_TO_DEGREES;
+  }
+
+  return raw / (profile.scale || 1) - (profile.offset || 0);
+};
+
+/**
+ * Decode a FIT activity file
+ * @param {Buffer} buffer - File contents
+ * @returns {object} { records, laps, sessions, errors }
+ *   errors - Entries of { offset, message }; decoding stops at the first one
+ */
+const parseFit = (buffer) => {
+  const result = { records: [], laps: [], sessions: [], errors: [] };
+  const fail = (offset, message) => {
+    result.errors.push({ offset, message });
+    return result;
+  };
+
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return fail(0, 'File is too small to be a FIT file');
+  }
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  let fileStart = 0;
+
+  // A single upload may contain several chained FIT files
+  while (fileStart < buffer.length) {
+    const headerSize = buffer[fileStart];
+    if ((headerSize !== 12 && headerSize !== 14) || fileStart + headerSize > buffer.length) {
+      return fail(fileStart, `Invalid FIT header size ${headerSize}`);
+    }
+    if (buffer.toString('ascii', fileStart + 8, fileStart + 12) !== '.FIT') {
+      return fail(fileStart + 8, 'Missing ".FIT" signature');
+    }
+
+    const dataSize = view.getUint32(fileStart + 4, true);
+    const dataStart = fileStart + headerSize;
+    const dataEnd = dataStart + dataSize;
+
+    if (dataEnd + 2 > buffer.length) {
+      return fail(fileStart + 4, `File is truncated: header declares ${dataSize} bytes of data`);
+    }
+
+    const storedCrc = view.getUint16(dataEnd, true);
+    if (storedCrc !== 0 && storedCrc !== calculateCrc(buffer, fileStart, dataEnd)) {
+      return fail(dataEnd, 'File CRC mismatch, the file is corrupted');
+    }
+
+    const definitions = {};
+    let lastTimestamp = null;
+    let offset = dataStart;
+
+    while (offset < dataEnd) {
+      const recordOffset = offset;
+      const header = buffer[offset++];
+      let localType;
+      let compressedTime = null;
+
+      if (header & 0x80) {
+        // Compressed timestamp header
+        localType = (header >> 5) & 0x03;
+        const timeOffset = header & 0x1F;
+        if (lastTimestamp === null) {
+          return fail(recordOffset, 'Compressed timestamp before any full timestamp');
+        }
+        let timestamp = (lastTimestamp & ~0x1F) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1F)) timestamp += 0x20;
+        compressedTime = timestamp;
+        lastTimestamp = timestamp;
+      } else {
+        localType = header & 0x0F;
+
+        if (header & 0x40) {
+          // Definition message
+          if (offset + 5 > dataEnd) return fail(recordOffset, 'Truncated definition message');
+
+          const littleEndian = buffer[offset + 1] === 0;
+          const globalNumber = view.getUint16(offset + 2, littleEndian);
+          const fieldCount = buffer[offset + 4];
+          offset += 5;
+
+          const fields = [];
+          for (let i = 0; i < fieldCount; i++) {
+            if (offset + 3 > dataEnd) return fail(recordOffset, 'Truncated field definition');
+            fields.push({
+              number: buffer[offset],
+              size: buffer[offset + 1],
+              baseType: buffer[offset + 2],
+              littleEndian
+            });
+            offset += 3;
+          }
+
+          // Developer fields are only measured so their bytes can be skipped
+          let developerSize = 0;
+          if (header & 0x20) {
+            if (offset + 1 > dataEnd) return fail(recordOffset, 'Truncated developer field definition');
+            const developerCount = buffer[offset++];
+            for (let i = 0; i < developerCount; i++) {
+              if (offset + 3 > dataEnd) return fail(recordOffset, 'Truncated developer field definition');
+              developerSize += buffer[offset + 1];
+              offset += 3;
+            }
+          }
+
+          definitions[localType] = { globalNumber, fields, developerSize };
+          continue;
+        }
+      }
+
+      // Data message
+      const definition = definitions[localType];
+      if (!definition) {
+        return fail(recordOffset, `Data message for undefined local message type ${localType}`);
+      }
+
+      const message = MESSAGES[definition.globalNumber];
+      const values = {};
+
+      for (const field of definition.fields) {
+        if (offset + field.size > dataEnd) return fail(recordOffset, 'Truncated data message');
+
+        if (field.number === 253 && field.size === 4) {
+          const raw = view.getUint32(offset, field.littleEndian);
+          if (raw !== 0xFFFFFFFF) lastTimestamp = raw;
+        }
+
+        const profile = message && message.fields[field.number];
+        if (profile) {
+          const value = readFieldValue(view, offset, field, profile);
+          if (value !== undefined) values[profile.name] = value;
+        }
+
+        offset += field.size;
+      }
+
+      offset += definition.developerSize;
+      if (offset > dataEnd) return fail(recordOffset, 'Truncated developer data');
+
+      if (!message) continue;
+
+      if (compressedTime !== null && values.timestamp === undefined) {
+        values.timestamp = new Date((compressedTime + FIT_EPOCH_OFFSET) * 1000);
+      }
+
+      result[`${message.name}s`].push(values);
+    }
+
+    fileStart = dataEnd + 2;
+  }
+
+  return result;
+};
+
+/**
+ * Convert decoded record messages to Ride GPS points
+ * Records without a position fix or timestamp are skipped.
+ * @param {array} records - Decoded record messages
+ * @returns {array} GPS points ({ latitude, longitude, altitude, timestamp })
+ */
+const fitRecordsToGpsPath = (records) => {
+  return records
+    .filter(record =>
+      record.timestamp &&
+      record.positionLat !== undefined &&
+      record.positionLong !== undefined
+    )
+    .map(record => {
+      const altitude = record.enhancedAltitude !== undefined ? record.enhancedAltitude : record.altitude;
+
+      const point = {
+        latitude: record.positionLat,
+        longitude: record.positionLong,
+        altitude: altitude !== undefined ? altitude : 0,
+        timestamp: record.timestamp
+      };
+
+      // Optional sensor channels
+      ['heartRate', 'cadence', 'power', 'temperature'].forEach(field => {
+        if (record[field] !== undefined) point[field] = record[field];
+      });
+
+      return point;
+    });
+};
+
+/**
+ * Convert decoded lap messages to Ride segments
+ * @param {array} laps - Decoded lap messages
+ * @returns {array} Segments matching the Ride segment schema
+ */
+const fitLapsToSegments = (laps) => {
+  return laps
+    .filter(lap => lap.startTime)
+    .map((lap, index) => {
+      const elapsed = lap.totalElapsedTime || 0;
+      const timer = lap.totalTimerTime || elapsed;
+      const distanceKm = (lap.totalDistance || 0) / 1000;
+      const speed = lap.enhancedAvgSpeed !== undefined ? lap.enhancedAvgSpeed : lap.avgSpeed;
+
+      return {
+        segmentNumber: index + 1,
+        segmentName: `Lap ${index + 1}`,
+        segmentDistance: distanceKm,
+        segmentTime: Math.round(timer),
+        segmentAverageSpeed: speed !== undefined
+          ? speed * 3.6
+          : (timer > 0 ? distanceKm / (timer / 3600) : 0),
+        segmentStartTime: lap.startTime,
+        segmentEndTime: lap.timestamp || new Date(lap.startTime.getTime() + elapsed * 1000)
+      };
+    });
+};
+
+module.exports = {
+  parseFit,
+  fitRecordsToGpsPath,
+  fitLapsToSegments
+};
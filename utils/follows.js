@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+
+/**
+ * IDs of the users someone follows (approved follows only)
+ * @param {string} userId - Follower's user ID
+ * @returns {array} ObjectIds of followed users
+ */
+const getFollowingIds = async (userId) => {
+  return Follow.find({ follower: userId, status: 'accepted' }).distinct('following');
+};
+
+/**
+ * Whether one user follows another (approved follows only)
+ * @param {string} followerId - Follower's user ID
+ * @param {string} followingId - Followed user's ID
+ * @returns {boolean} True if the follow exists and is approved
+ */
+const isFollowing = async (followerId, followingId) => {
+  return Boolean(await Follow.exists({ follower: followerId, following: followingId, status: 'accepted' }));
+};
+
+/**
+ * Follower and following counts for a user, leaving out blocked accounts
+ * @param {string} userId - User ID
+ * @returns {object} { followers, following }
+ */
+const getFollowCounts = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+
+  const count = async (match, otherField) => {
+    const [result] = await Follow.aggregate([
+      { $match: { ...match, status: 'accepted' } },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: otherField,
+          foreignField: '_id',
+          pipeline: [{ $project: { isBlocked: 1 } }],
+          as: 'user'
+        }
+      },
+      { $match: { 'user.isBlocked': false } },
+      { $count: 'count' }
+    ]);
+    return result ? result.count : 0;
+  };
+
+  return {
+    followers: await count({ following: id }, 'follower'),
+    following: await count({ follower: id }, 'following')
+  };
+};
+
+/**
+ * One page of a user's followers, following or pending requests
+ * Blocked accounts are left out.
+ * @param {object} match - Follow filter (e.g. { following: id, status: 'accepted' })
+ * @param {string} otherField - Field holding the listed users ('follower' or 'following')
+ * @param {number} page - Page number (from 1)
+ * @param {number} limit - Page size
+ * @returns {object} { users: [{ id, name, city, followedAt }], total }
+ */
+const listFollowUsers = async (match, otherField, page, limit) => {
+  const [result] = await Follow.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: otherField,
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, city: 1, isBlocked: 1 } }],
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    { $match: { 'user.isBlocked': false } },
+    { $sort: { createdAt: -1 } },
+    {
+      $facet: {
+        entries: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    users: result.entries.map(entry => ({
+      id: entry.user._id,
+      name: entry.user.name,
+      city: entry.user.city,
+      followedAt: entry.createdAt
+    })),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+module.exports = {
+  getFollowingIds,
+  isFollowing,
+  getFollowCounts,
+  listFollowUsers
+};
@@ -0,0 +1,187 @@
+const { calculateDistance } = require('./helpers');
+
+// After this many consecutive rejections the track is assumed to have really moved
+const MAX_CONSECUTIVE_OUTLIERS = 10;
+
+/**
+ * Copy a GPS point into a plain object (mongoose subdocuments included)
+ * @param {object} point - GPS point
+ * @returns {object} Plain point
+ */
+const clonePoint = (point) => {
+  const plain = typeof point.toObject === 'function' ? point.toObject() : point;
+  return { ...plain, timestamp: new Date(plain.timestamp) };
+};
+
+/**
+ * Drop points that share a timestamp with the previous kept point
+ * @param {array} points - Chronological GPS points
+ * @returns {array} Points with unique timestamps
+ */
+const removeDuplicateTimestamps = (points) => {
+  return points.filter((point, i) =>
+    i === 0 || point.timestamp.getTime() !== points[i - 1].timestamp.getTime()
+  );
+};
+
+/**
+ * Drop points whose implied speed from the last kept point is impossible
+ * @param {array} points - Chronological GPS points
+ * @param {number} maxSpeed - Maximum plausible speed in km/h
+ * @returns {array} Points without jumps
+ */
+const removeSpeedOutliers = (points, maxSpeed) => {
+  if (points.length === 0) return [];
+
+  const kept = [points[0]];
+  let consecutive = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const last = kept[kept.length - 1];
+    const hours = (points[i].timestamp - last.timestamp) / 3600000;
+
+    // Same-timestamp fixes (left in when duplicates are kept) have no implied speed
+    if (hours === 0) {
+      kept.push(points[i]);
+      continue;
+    }
+
+    const km = calculateDistance(last.latitude, last.longitude, points[i].latitude, points[i].longitude);
+    const speed = hours > 0 ? km / hours : Infinity;
+
+    if (speed <= maxSpeed || consecutive >= MAX_CONSECUTIVE_OUTLIERS) {
+      kept.push(points[i]);
+      consecutive = 0;
+    } else {
+      consecutive++;
+    }
+  }
+
+  return kept;
+};
+
+/**
+ * Centered moving average over latitude, longitude and altitude
+ * @param {array} points - GPS points
+ * @param {number} windowSize - Odd number of points in the window
+ * @returns {array} Smoothed copies of the points
+ */
+const movingAverage = (points, windowSize) => {
+  const half = Math.floor(windowSize / 2);
+
+  return points.map((point, i) => {
+    const from = Math.max(0, i - half);
+    const to = Math.min(points.length - 1, i + half);
+    const count = to - from + 1;
+    let latitude = 0;
+    let longitude = 0;
+    let altitude = 0;
+
+    for (let j = from; j <= to; j++) {
+      latitude += points[j].latitude;
+      longitude += points[j].longitude;
+      altitude += points[j].altitude || 0;
+    }
+
+    return { ...point, latitude: latitude / count, longitude: longitude / count, altitude: altitude / count };
+  });
+};
+
+/**
+ * Kalman filter with a constant-position model and time-scaled process noise
+ * @param {array} points - GPS points
+ * @param {object} options - { processNoise (m/s), measurementNoise (m) }
+ * @returns {array} Smoothed copies of the points
+ */
+const kalmanFilter = (points, { processNoise, measurementNoise }) => {
+  if (points.length === 0) return [];
+
+  let { latitude, longitude } = points[0];
+  let altitude = points[0].altitude || 0;
+  let variance = measurementNoise * measurementNoise;
+  let altitudeVariance = variance;
+  let lastTime = points[0].timestamp.getTime();
+
+  return points.map((point, i) => {
+    if (i === 0) return { ...point };
+
+    const seconds = (point.timestamp.getTime() - lastTime) / 1000;
+    lastTime = point.timestamp.getTime();
+    variance += seconds * processNoise * processNoise;
+    altitudeVariance += seconds * processNoise * processNoise;
+
+    const gain = variance / (variance + measurementNoise * measurementNoise);
+    latitude += gain * (point.latitude - latitude);
+    longitude += gain * (point.longitude - longitude);
+    variance *= (1 - gain);
+
+    const altitudeGain = altitudeVariance / (altitudeVariance + measurementNoise * measurementNoise);
+    altitude += altitudeGain * ((point.altitude || 0) - altitude);
+    altitudeVariance *= (1 - altitudeGain);
+
+    return { ...point, latitude, longitude, altitude };
+  });
+};
+
+/**
+ * Clean a raw GPS path before metrics are derived from it
+ * @param {array} rawPath - Raw GPS points as recorded
+ * @param {object} settings - { maxSpeed, removeDuplicates, smoothing, windowSize, processNoise, measurementNoise }
+ *   smoothing - 'none', 'moving-average' or 'kalman'
+ * @returns {object} { points, summary } where summary matches Ride.processing
+ */
+const cleanGpsPath = (rawPath, settings) => {
+  let points = (rawPath || []).map(clonePoint);
+  const inputPoints = points.length;
+
+  let duplicatesRemoved = 0;
+  if (settings.removeDuplicates) {
+    const unique = removeDuplicateTimestamps(points);
+    duplicatesRemoved = points.length - unique.length;
+    points = unique;
+  }
+
+  const withoutOutliers = removeSpeedOutliers(points, settings.maxSpeed);
+  const outliersRemoved = points.length - withoutOutliers.length;
+  points = withoutOutliers;
+
+  let pointsSmoothed = 0;
+  if (settings.smoothing === 'moving-average' || settings.smoothing === 'kalman') {
+    const smoothed = settings.smoothing === 'kalman'
+      ? kalmanFilter(points, settings)
+      : movingAverage(points, settings.windowSize);
+
+    // Count points that moved by more than half a meter
+    pointsSmoothed = smoothed.filter((point, i) => {
+      const horizontal = calculateDistance(point.latitude, point.longitude, points[i].latitude, points[i].longitude) * 1000;
+      const vertical = Math.abs((point.altitude || 0) - (points[i].altitude || 0));
+      return horizontal > 0.5 || vertical > 0.5;
+    }).length;
+    points = smoothed;
+  }
+
+  return {
+    points,
+    summary: {
+      processedAt: new Date(),
+      settings: {
+        maxSpeed: settings.maxSpeed,
+        removeDuplicates: settings.removeDuplicates,
+        smoothing: settings.smoothing,
+        windowSize: settings.windowSize,
+        processNoise: settings.processNoise,
+        measurementNoise: settings.measurementNoise
+      },
+      inputPoints,
+      outputPoints: points.length,
+      duplicatesRemoved,
+      outliersRemoved,
+      pointsSmoothed,
+      pointsModified: duplicatesRemoved + outliersRemoved + pointsSmoothed
+    }
+  };
+};
+
+module.exports = {
+  cleanGpsPath
+};
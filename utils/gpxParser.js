@@ -0,0 +1,261 @@
+/**
+ * Minimal GPX 1.0 / 1.1 parser
+ * Only reads what a ride needs: track name and trk/trkseg/trkpt points
+ * with their elevation and timestamp.
+ */
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<(\/?)([A-Za-z_][\w.-]*:)?([A-Za-z_][\w.-]*)((?:\s+[^\s=>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const MAX_REPORTED_ERRORS = 20;
+
+// Sensor values from Garmin/Cluetrust track point extensions
+const SENSOR_TAGS = {
+  hr: 'heartRate',
+  cad: 'cadence',
+  power: 'power',
+  atemp: 'temperature'
+};
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ * @param {string} text - Raw XML text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Parse the attribute string of a start tag
+ * @param {string} source - Attribute portion of the tag
+ * @returns {object} Attribute map (namespace prefixes kept)
+ */
+const parseAttributes = (source) => {
+  const attributes = {};
+  let match;
+
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  return attributes;
+};
+
+/**
+ * Count newlines in a slice of the document
+ * @param {string} text - Document
+ * @param {number} from - Start index
+ * @param {number} to - End index (exclusive)
+ * @returns {number} Newline count
+ */
+const countLines = (text, from, to) => {
+  let count = 0;
+  for (let i = from; i < to; i++) {
+    if (text.charCodeAt(i) === 10) count++;
+  }
+  return count;
+};
+
+/**
+ * Validate a completed <trkpt> and convert it to a GPS point
+ * @param {object} point - Raw point collected while parsing
+ * @param {Date|null} previousTimestamp - Timestamp of the previous valid point
+ * @param {function} addError - Error collector
+ * @returns {object|null} GPS point or null if invalid
+ */
+const finalizePoint = (point, previousTimestamp, addError) => {
+  const fail = (message) => {
+    addError({ line: point.line, point: point.index, message });
+    return null;
+  };
+
+  const latitude = parseFloat(point.lat);
+  const longitude = parseFloat(point.lon);
+
+  if (point.lat === undefined || Number.isNaN(latitude)) {
+    return fail('Missing or invalid "lat" attribute');
+  }
+  if (point.lon === undefined || Number.isNaN(longitude)) {
+    return fail('Missing or invalid "lon" attribute');
+  }
+  if (latitude < -90 || latitude > 90) {
+    return fail(`Latitude ${latitude} is out of range (-90 to 90)`);
+  }
+  if (longitude < -180 || longitude > 180) {
+    return fail(`Longitude ${longitude} is out of range (-180 to 180)`);
+  }
+
+  let altitude = 0;
+  if (point.ele !== undefined) {
+    altitude = parseFloat(point.ele);
+    if (Number.isNaN(altitude)) {
+      return fail(`Invalid elevation "${point.ele}"`);
+    }
+  }
+
+  if (point.time === undefined) {
+    return fail('Missing <time> element');
+  }
+  const timestamp = new Date(point.time);
+  if (Number.isNaN(timestamp.getTime())) {
+    return fail(`Invalid timestamp "${point.time}"`);
+  }
+  if (previousTimestamp && timestamp < previousTimestamp) {
+    return fail(`Timestamp ${point.time} is earlier than the previous point`);
+  }
+
+  const gpsPoint = { latitude, longitude, altitude, timestamp };
+
+  // Unreadable sensor values are skipped rather than failing the point
+  Object.values(SENSOR_TAGS).forEach(field => {
+    const value = parseFloat(point[field]);
+    if (Number.isFinite(value)) gpsPoint[field] = value;
+  });
+
+  return gpsPoint;
+};
+
+/**
+ * Parse a GPX document into GPS points
+ * @param {string} xml - GPX file contents
+ * @returns {object} { name, points, errors, totalErrors }
+ *   errors - Up to 20 entries of { line, point, message }
+ */
+const parseGpx = (xml) => {
+  const errors = [];
+  let totalErrors = 0;
+  const addError = (error) => {
+    totalErrors++;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(error);
+  };
+
+  const points = [];
+  const stack = [];
+  let name = null;
+  let trackNamed = false;
+  let text = '';
+  let current = null;
+  let pointIndex = 0;
+  let sawRoot = false;
+  let line = 1;
+  let lastIndex = 0;
+  let match;
+
+  if (typeof xml !== 'string' || xml.trim() === '') {
+    addError({ line: 1, point: null, message: 'File is empty' });
+    return { name, points, errors, totalErrors };
+  }
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(xml)) !== null) {
+    const between = xml.slice(lastIndex, match.index);
+    const strayTag = between.indexOf('<');
+    if (strayTag !== -1) {
+      addError({ line: line + countLines(between, 0, strayTag), point: current ? current.index : null, message: 'Malformed tag' });
+      break;
+    }
+    line += countLines(xml, lastIndex, match.index);
+    const tokenLine = line;
+    text += between;
+    line += countLines(xml, match.index, TOKEN_PATTERN.lastIndex);
+    lastIndex = TOKEN_PATTERN.lastIndex;
+
+    const [, cdata, closing, , tagName, attributeSource, selfClosing] = match;
+
+    if (cdata !== undefined) {
+      text += cdata;
+      continue;
+    }
+    if (!tagName) continue; // comment, declaration or doctype
+
+    if (!closing) {
+      const attributes = parseAttributes(attributeSource || '');
+
+      if (stack.length === 0) {
+        if (sawRoot || tagName !== 'gpx') {
+          addError({ line: tokenLine, point: null, message: `Unexpected root element <${tagName}>, expected <gpx>` });
+          break;
+        }
+        sawRoot = true;
+        if (attributes.version && !['1.0', '1.1'].includes(attributes.version)) {
+          addError({ line: tokenLine, point: null, message: `Unsupported GPX version "${attributes.version}"` });
+        }
+      }
+
+      if (tagName === 'trkpt') {
+        if (stack[stack.length - 1] !== 'trkseg') {
+          addError({ line: tokenLine, point: null, message: '<trkpt> must be inside <trkseg>' });
+        }
+        pointIndex++;
+        current = { index: pointIndex, line: tokenLine, lat: attributes.lat, lon: attributes.lon };
+      }
+
+      if (selfClosing) {
+        if (tagName === 'trkpt' && current) {
+          const point = finalizePoint(current, points.length ? points[points.length - 1].timestamp : null, addError);
+          if (point) points.push(point);
+          current = null;
+        }
+        continue;
+      }
+
+      stack.push(tagName);
+      text = '';
+      continue;
+    }
+
+    // Closing tag
+    const open = stack.pop();
+    if (open !== tagName) {
+      addError({
+        line: tokenLine,
+        point: current ? current.index : null,
+        message: open ? `Mismatched closing tag </${tagName}>, expected </${open}>` : `Unexpected closing tag </${tagName}>`
+      });
+      break;
+    }
+
+    const value = decodeEntities(text).trim();
+    const parent = stack[stack.length - 1];
+
+    if (current && parent === 'trkpt' && (tagName === 'ele' || tagName === 'time')) {
+      current[tagName] = value;
+    } else if (current && SENSOR_TAGS[tagName] && stack.includes('extensions')) {
+      current[SENSOR_TAGS[tagName]] = value;
+    } else if (tagName === 'trkpt' && current) {
+      const point = finalizePoint(current, points.length ? points[points.length - 1].timestamp : null, addError);
+      if (point) points.push(point);
+      current = null;
+    } else if (tagName === 'name' && (parent === 'trk' || (name === null && (parent === 'metadata' || parent === 'gpx')))) {
+      // Prefer the track name over the document name
+      if (!trackNamed) name = value;
+      if (parent === 'trk') trackNamed = true;
+    }
+
+    text = '';
+  }
+
+  if (!sawRoot && totalErrors === 0) {
+    addError({ line: 1, point: null, message: 'No <gpx> root element found' });
+  } else if (stack.length > 0 && totalErrors === 0) {
+    addError({ line, point: current ? current.index : null, message: `Unclosed <${stack[stack.length - 1]}> element` });
+  }
+
+  if (totalErrors === 0 && points.length < 2) {
+    addError({ line: 1, point: null, message: 'Track must contain at least 2 points' });
+  }
+
+  return { name, points, errors, totalErrors };
+};
+
+module.exports = {
+  parseGpx
+};
@@ -0,0 +1,85 @@
+const Job = require('../models/Job');
+const { recalculateUserZones } = require('./zoneRecalculation');
+const { recalculateUserEnergy } = require('./energyRecalculation');
+const { recalculateUserPrivacy } = require('./privacyRecalculation');
+const { matchSegmentRides } = require('./segmentRecalculation');
+
+// Work done for each job type; handlers receive the job and a progress callback
+const JOB_HANDLERS = {
+  RECALCULATE_ZONES: (job, onProgress) => recalculateUserZones(job.userId, onProgress),
+  RECALCULATE_ENERGY: (job, onProgress) => recalculateUserEnergy(job.userId, onProgress),
+  APPLY_PRIVACY: (job, onProgress) => recalculateUserPrivacy(job.userId, onProgress),
+  MATCH_SEGMENT: (job, onProgress) => matchSegmentRides(job.payload.segmentId, onProgress)
+};
+
+let draining = false;
+
+/**
+ * Run queued jobs one at a time until the queue is empty
+ * Only one drain loop runs per process.
+ */
+const drainQueue = async () => {
+  if (draining) return;
+  draining = true;
+
+  try {
+    let job;
+    while ((job = await Job.findOneAndUpdate(
+      { status: 'queued' },
+      { status: 'running', startedAt: new Date() },
+      { sort: { createdAt: 1 }, new: true }
+    ))) {
+      const onProgress = async (processed, total) => {
+        await Job.updateOne({ _id: job._id }, { progress: { processed, total } });
+      };
+
+      try {
+        await JOB_HANDLERS[job.type](job, onProgress);
+        await Job.updateOne({ _id: job._id }, { status: 'completed', finishedAt: new Date() });
+      } catch (error) {
+        console.error(`Background job ${job.type} failed:`, error);
+        await Job.updateOne({ _id: job._id }, { status: 'failed', error: error.message, finishedAt: new Date() });
+      }
+    }
+  } catch (error) {
+    console.error('Background job queue error:', error);
+  } finally {
+    draining = false;
+  }
+};
+
+/**
+ * Queue a background job and start processing it
+ * A job of the same type and payload already waiting for the user is reused.
+ * @param {string} type - Job type (key of JOB_HANDLERS)
+ * @param {string} userId - User the job works on
+ * @param {object} payload - Job-specific options
+ * @returns {object} Job document
+ */
+const enqueueJob = async (type, userId, payload = {}) => {
+  let job = await Job.findOne({ type, userId, payload, status: 'queued' });
+  if (!job) {
+    job = await Job.create({ type, userId, payload });
+  }
+
+  setImmediate(drainQueue);
+  return job;
+};
+
+/**
+ * Requeue jobs interrupted by a restart and process anything waiting
+ * Call once after the database connection is open.
+ */
+const resumeJobs = async () => {
+  try {
+    await Job.updateMany({ status: 'running' }, { status: 'queued', startedAt: null });
+    setImmediate(drainQueue);
+  } catch (error) {
+    console.error('Error resuming background jobs:', error);
+  }
+};
+
+module.exports = {
+  enqueueJob,
+  resumeJobs
+};
@@ -0,0 +1,73 @@
+const { calculateDistance } = require('./helpers');
+
+/**
+ * Detect pauses along a GPS path
+ * A pause is either a run of intervals slower than speedThreshold lasting at
+ * least minPauseDuration, or a single gap between fixes longer than gapThreshold
+ * (e.g. the recorder was paused).
+ * @param {array} gpsPath - Chronological GPS points
+ * @param {object} options - { speedThreshold (km/h), minPauseDuration (s), gapThreshold (s) }
+ * @returns {object} { pauses, pausedTime, movingTime }
+ *   pauses - [{ startTime, endTime, duration, startIndex, endIndex, reason }]
+ */
+const detectPauses = (gpsPath, { speedThreshold, minPauseDuration, gapThreshold }) => {
+  const pauses = [];
+  if (!gpsPath || gpsPath.length < 2) {
+    return { pauses, pausedTime: 0, movingTime: 0 };
+  }
+
+  const times = gpsPath.map(point => new Date(point.timestamp).getTime());
+  let slowStart = null;
+
+  const closeSlowRun = (endIndex) => {
+    if (slowStart === null) return;
+    const duration = (times[endIndex] - times[slowStart]) / 1000;
+    if (duration >= minPauseDuration) {
+      pauses.push({ startIndex: slowStart, endIndex, duration, reason: 'stopped' });
+    }
+    slowStart = null;
+  };
+
+  for (let i = 1; i < gpsPath.length; i++) {
+    const seconds = (times[i] - times[i - 1]) / 1000;
+
+    if (seconds > gapThreshold) {
+      closeSlowRun(i - 1);
+      pauses.push({ startIndex: i - 1, endIndex: i, duration: seconds, reason: 'gap' });
+      continue;
+    }
+
+    const km = calculateDistance(
+      gpsPath[i - 1].latitude,
+      gpsPath[i - 1].longitude,
+      gpsPath[i].latitude,
+      gpsPath[i].longitude
+    );
+    const speed = seconds > 0 ? km / (seconds / 3600) : 0;
+
+    if (speed < speedThreshold) {
+      if (slowStart === null) slowStart = i - 1;
+    } else {
+      closeSlowRun(i - 1);
+    }
+  }
+  closeSlowRun(gpsPath.length - 1);
+
+  const pausedTime = pauses.reduce((sum, pause) => sum + pause.duration, 0);
+  const elapsed = (times[times.length - 1] - times[0]) / 1000;
+
+  return {
+    pauses: pauses.map(pause => ({
+      ...pause,
+      duration: Math.round(pause.duration),
+      startTime: new Date(times[pause.startIndex]),
+      endTime: new Date(times[pause.endIndex])
+    })),
+    pausedTime: Math.round(pausedTime),
+    movingTime: Math.round(elapsed - pausedTime)
+  };
+};
+
+module.exports = {
+  detectPauses
+};
@@ -0,0 +1,161 @@
+// Meters per pixel at zoom 0 on the equator (256 px Web Mercator tiles)
+const METERS_PER_PIXEL_ZOOM_0 = 156543.03;
+
+// Tolerances (m) for the polylines stored on each ride
+const DETAIL_TOLERANCE = 5;
+const SUMMARY_TOLERANCE = 50;
+
+/**
+ * Distance in meters from a point to the line segment between two points
+ * Uses a local flat projection around the point.
+ * @param {object} point - Point with latitude/longitude
+ * @param {object} a - Segment start
+ * @param {object} b - Segment end
+ * @returns {number} Distance in meters
+ */
+const perpendicularDistance = (point, a, b) => {
+  const metersPerDegreeLat = 111320;
+  const metersPerDegreeLng = 111320 * Math.cos(point.latitude * Math.PI / 180);
+  const ax = (a.longitude - point.longitude) * metersPerDegreeLng;
+  const ay = (a.latitude - point.latitude) * metersPerDegreeLat;
+  const bx = (b.longitude - point.longitude) * metersPerDegreeLng;
+  const by = (b.latitude - point.latitude) * metersPerDegreeLat;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1) : 0;
+
+  return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+/**
+ * Simplify a path with the Douglas-Peucker algorithm
+ * Iterative so long 1 Hz rides cannot overflow the stack.
+ * @param {array} points - Points with latitude/longitude
+ * @param {number} tolerance - Max deviation in meters
+ * @returns {array} Subset of the original points, first and last always kept
+ */
+const simplifyPath = (points, tolerance) => {
+  if (!points || points.length <= 2 || !(tolerance > 0)) return points ? points.slice() : [];
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = perpendicularDistance(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+};
+
+/**
+ * Simplification tolerance matching one screen pixel at a map zoom level
+ * @param {number} zoom - Web map zoom level (0-22)
+ * @param {number} latitude - Latitude the map is centered on
+ * @returns {number} Tolerance in meters
+ */
+const toleranceForZoom = (zoom, latitude = 0) => {
+  const level = Math.min(Math.max(zoom, 0), 22);
+  return METERS_PER_PIXEL_ZOOM_0 * Math.cos(latitude * Math.PI / 180) / Math.pow(2, level);
+};
+
+/**
+ * Encode one signed value for the polyline format
+ * @param {number} value - Rounded coordinate delta
+ * @returns {string} Encoded characters
+ */
+const encodeValue = (value) => {
+  let remaining = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+
+  while (remaining >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+    remaining >>= 5;
+  }
+  encoded += String.fromCharCode(remaining + 63);
+
+  return encoded;
+};
+
+/**
+ * Encode points in the Google encoded polyline format
+ * @param {array} points - Points with latitude/longitude
+ * @param {number} precision - Decimal places kept (5 is the Google default)
+ * @returns {string} Encoded polyline
+ */
+const encodePolyline = (points, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  let previousLat = 0;
+  let previousLng = 0;
+  let encoded = '';
+
+  (points || []).forEach(point => {
+    const lat = Math.round(point.latitude * factor);
+    const lng = Math.round(point.longitude * factor);
+    encoded += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  });
+
+  return encoded;
+};
+
+/**
+ * Decode a Google encoded polyline
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Decimal places used when encoding
+ * @returns {array} Points of { latitude, longitude }
+ */
+const decodePolyline = (encoded, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < (encoded || '').length) {
+    lat += readValue();
+    lng += readValue();
+    points.push({ latitude: lat / factor, longitude: lng / factor });
+  }
+
+  return points;
+};
+
+module.exports = {
+  DETAIL_TOLERANCE,
+  SUMMARY_TOLERANCE,
+  simplifyPath,
+  toleranceForZoom,
+  encodePolyline,
+  decodePolyline
+};
@@ -0,0 +1,36 @@
+const User = require('../models/User');
+const Ride = require('../models/Ride');
+const { loadRidePath } = require('./rideStreams');
+const { buildPublicGeometry } = require('./privacyZones');
+
+/**
+ * Rebuild the public geometry of every GPS ride of a user from their
+ * current privacy settings
+ * @param {string} userId - User ID
+ * @param {function} onProgress - Optional async callback (processed, total)
+ * @returns {number} Rides updated
+ */
+const recalculateUserPrivacy = async (userId, onProgress = async () => {}) => {
+  const user = await User.findById(userId).select('privacy');
+  if (!user) throw new Error('User not found');
+
+  const rides = await Ride.find({ userId, 'streamInfo.pointCount': { $gt: 0 } }).select('_id');
+
+  await onProgress(0, rides.length);
+
+  for (let i = 0; i < rides.length; i++) {
+    const gpsPath = await loadRidePath(rides[i]._id);
+    await Ride.updateOne(
+      { _id: rides[i]._id },
+      { publicGeometry: buildPublicGeometry(gpsPath, user.privacy) }
+    );
+
+    await onProgress(i + 1, rides.length);
+  }
+
+  return rides.length;
+};
+
+module.exports = {
+  recalculateUserPrivacy
+};
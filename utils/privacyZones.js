@@ -0,0 +1,85 @@
+const { calculateDistance } = require('./helpers');
+const { buildRideGeometry } = require('./rideGeometry');
+
+// Whether a point has a position (stream points can lack one)
+const hasPosition = (point) => typeof point.latitude === 'number' && typeof point.longitude === 'number';
+
+/**
+ * Whether privacy settings hide anything
+ * @param {object} privacy - User privacy settings { zones, hideEndpoints }
+ * @returns {boolean} True if zones or an endpoint distance are set
+ */
+const hasPrivacySettings = (privacy) => {
+  return Boolean(privacy && ((privacy.zones && privacy.zones.length > 0) || privacy.hideEndpoints > 0));
+};
+
+/**
+ * Which points of a path are hidden from other users
+ * A point is hidden if it lies within hideEndpoints meters (along the
+ * route) of the start or end, or inside any privacy zone.
+ * @param {array} gpsPath - Chronological GPS points (latitude/longitude may be null)
+ * @param {object} privacy - User privacy settings { zones, hideEndpoints }
+ * @returns {array} Boolean per point, true if hidden
+ */
+const privatePointMask = (gpsPath, privacy) => {
+  const mask = new Array(gpsPath.length).fill(false);
+  if (!hasPrivacySettings(privacy) || gpsPath.length === 0) return mask;
+
+  const zones = privacy.zones || [];
+  const hideKm = (privacy.hideEndpoints || 0) / 1000;
+
+  const cumulative = [0];
+  for (let i = 1; i < gpsPath.length; i++) {
+    const previous = gpsPath[i - 1];
+    const point = gpsPath[i];
+    const step = hasPosition(previous) && hasPosition(point)
+      ? calculateDistance(previous.latitude, previous.longitude, point.latitude, point.longitude)
+      : 0;
+    cumulative.push(cumulative[i - 1] + step);
+  }
+  const total = cumulative[cumulative.length - 1];
+
+  gpsPath.forEach((point, i) => {
+    if (hideKm > 0 && (cumulative[i] <= hideKm || total - cumulative[i] <= hideKm)) {
+      mask[i] = true;
+      return;
+    }
+    if (!hasPosition(point)) return;
+
+    mask[i] = zones.some(zone =>
+      calculateDistance(zone.latitude, zone.longitude, point.latitude, point.longitude) * 1000 <= zone.radius
+    );
+  });
+
+  return mask;
+};
+
+/**
+ * The part of a path other users may see
+ * @param {array} gpsPath - Chronological GPS points
+ * @param {object} privacy - User privacy settings
+ * @returns {array} Points outside the hidden areas
+ */
+const filterPrivatePoints = (gpsPath, privacy) => {
+  if (!hasPrivacySettings(privacy)) return gpsPath;
+
+  const mask = privatePointMask(gpsPath, privacy);
+  return gpsPath.filter((point, i) => !mask[i]);
+};
+
+/**
+ * Geo fields and polylines for other users, built from the visible part of the path
+ * @param {array} gpsPath - The ride's processed GPS points
+ * @param {object} privacy - Owner's privacy settings
+ * @returns {object} { startLocation, endLocation, routeLine, polyline, summaryPolyline }
+ */
+const buildPublicGeometry = (gpsPath, privacy) => {
+  return buildRideGeometry(filterPrivatePoints(gpsPath, privacy));
+};
+
+module.exports = {
+  hasPrivacySettings,
+  privatePointMask,
+  filterPrivatePoints,
+  buildPublicGeometry
+};
@@ -0,0 +1,62 @@
+const RideBackup = require('../models/RideBackup');
+const RideStream = require('../models/RideStream');
+const { saveRideStream, loadRidePath } = require('./rideStreams');
+const { rideBackups } = require('../config/ride');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Keep a copy of a ride's current raw track
+ * @param {object} ride - Ride document (before the edit)
+ * @param {array} rawPath - The ride's raw GPS points
+ * @param {string} reason - Edit about to replace the track
+ * @returns {object} RideBackup document
+ */
+const createRideBackup = async (ride, rawPath, reason) => {
+  const expiresAt = new Date(Date.now() + rideBackups.retentionDays * DAY_MS);
+  const settings = ride.processing && ride.processing.settings;
+
+  const backup = await RideBackup.create({
+    rideId: ride._id,
+    userId: ride.userId,
+    reason,
+    cleaning: settings && typeof settings.toObject === 'function' ? settings.toObject() : settings || {},
+    pointCount: rawPath.length,
+    distance: ride.distance,
+    movingTime: ride.movingTime,
+    startTime: ride.startTime,
+    endTime: ride.endTime,
+    expiresAt
+  });
+
+  await saveRideStream(backup._id, 'backup', rawPath, expiresAt);
+
+  return backup;
+};
+
+/**
+ * Load the raw track held by a backup
+ * @param {string} backupId - RideBackup ID
+ * @returns {array} GPS points
+ */
+const loadBackupPath = async (backupId) => {
+  return loadRidePath(backupId, 'backup');
+};
+
+/**
+ * Delete backups and their tracks
+ * @param {object} filter - RideBackup filter (e.g. { rideId } or { _id })
+ */
+const deleteRideBackups = async (filter) => {
+  const backupIds = await RideBackup.find(filter).distinct('_id');
+  if (backupIds.length === 0) return;
+
+  await RideStream.deleteMany({ rideId: { $in: backupIds }, kind: 'backup' });
+  await RideBackup.deleteMany({ _id: { $in: backupIds } });
+};
+
+module.exports = {
+  createRideBackup,
+  loadBackupPath,
+  deleteRideBackups
+};
@@ -0,0 +1,29 @@
+const Ride = require('../models/Ride');
+const { clearSegmentEfforts } = require('./segmentMatcher');
+const { deleteRideStreams } = require('./rideStreams');
+const { deleteRideBackups } = require('./rideBackups');
+const { deleteRideInteractions } = require('./rideInteractions');
+const { recalculateUserStats, recalculateWeeklyStats, updateTrainingLoad } = require('./calculateStats');
+
+/**
+ * Delete a ride with everything stored for it and update its owner's stats
+ * Segment efforts, streams, backups, kudos and comments go with the ride
+ * (pending reports on the comments are closed). Coins, totals, records,
+ * best efforts, weekly stats and training load are then recalculated.
+ * @param {object} ride - Ride document
+ */
+const deleteRideAndData = async (ride) => {
+  await clearSegmentEfforts(ride._id);
+  await deleteRideStreams(ride._id);
+  await deleteRideBackups({ rideId: ride._id });
+  await deleteRideInteractions(ride._id);
+  await Ride.findByIdAndDelete(ride._id);
+
+  await recalculateUserStats(ride.userId);
+  await recalculateWeeklyStats(ride.userId);
+  await updateTrainingLoad(ride.userId, ride.activityDate);
+};
+
+module.exports = {
+  deleteRideAndData
+};
@@ -0,0 +1,196 @@
+const { calculateDistance } = require('./helpers');
+
+const CROP_TYPES = ['time', 'distance'];
+const CROP_MODES = ['keep', 'remove'];
+
+/**
+ * Timestamp at a distance along a path, interpolated between points
+ * @param {array} gpsPath - Chronological GPS points
+ * @param {number} distance - Distance from the start in km
+ * @returns {number} Time in ms (the last point's if the path is shorter)
+ */
+const timeAtDistance = (gpsPath, distance) => {
+  let covered = 0;
+
+  for (let i = 1; i < gpsPath.length; i++) {
+    const step = calculateDistance(
+      gpsPath[i - 1].latitude,
+      gpsPath[i - 1].longitude,
+      gpsPath[i].latitude,
+      gpsPath[i].longitude
+    );
+    const previous = new Date(gpsPath[i - 1].timestamp).getTime();
+
+    if (covered + step >= distance) {
+      const fraction = step > 0 ? (distance - covered) / step : 0;
+      return previous + (new Date(gpsPath[i].timestamp).getTime() - previous) * fraction;
+    }
+    covered += step;
+  }
+
+  return new Date(gpsPath[gpsPath.length - 1].timestamp).getTime();
+};
+
+/**
+ * Turn a crop range into absolute times on a ride's processed track
+ * Time ranges are seconds from the start of the ride, distance ranges km;
+ * a missing start or end means the start or end of the ride.
+ * @param {array} gpsPath - The ride's processed GPS points
+ * @param {object} range - { type: 'time'|'distance', start, end }
+ * @returns {object} { from, to } in ms
+ */
+const resolveCropWindow = (gpsPath, { type, start, end }) => {
+  const first = new Date(gpsPath[0].timestamp).getTime();
+  const last = new Date(gpsPath[gpsPath.length - 1].timestamp).getTime();
+
+  if (type === 'distance') {
+    return {
+      from: start !== undefined ? timeAtDistance(gpsPath, start) : first,
+      to: end !== undefined ? timeAtDistance(gpsPath, end) : last
+    };
+  }
+
+  return {
+    from: start !== undefined ? first + start * 1000 : first,
+    to: end !== undefined ? first + end * 1000 : last
+  };
+};
+
+/**
+ * Validate a crop request body
+ * @param {object} body - { type, start, end, mode }
+ * @returns {object} { range } or { error } with a message for the client
+ */
+const parseCropRange = (body = {}) => {
+  const { type = 'time', mode = 'keep' } = body;
+
+  if (!CROP_TYPES.includes(type)) {
+    return { error: `type must be one of: ${CROP_TYPES.join(', ')}` };
+  }
+  if (!CROP_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${CROP_MODES.join(', ')}` };
+  }
+
+  const range = { type, mode };
+  for (const field of ['start', 'end']) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') continue;
+
+    const value = parseFloat(body[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    range[field] = value;
+  }
+
+  if (range.start === undefined && range.end === undefined) {
+    return { error: 'Provide start, end or both' };
+  }
+  if (range.start !== undefined && range.end !== undefined && range.start >= range.end) {
+    return { error: 'start must be before end' };
+  }
+  if (mode === 'remove' && (range.start === undefined || range.end === undefined)) {
+    return { error: 'Removing a section needs both start and end' };
+  }
+
+  return { range };
+};
+
+/**
+ * Crop a raw track to (or cut out) a time window
+ * @param {array} rawPath - The ride's raw GPS points
+ * @param {object} window - { from, to } in ms
+ * @param {string} mode - 'keep' keeps the window, 'remove' cuts it out
+ * @returns {array} Remaining GPS points
+ */
+const cropTrack = (rawPath, { from, to }, mode) => {
+  return rawPath.filter(point => {
+    const time = new Date(point.timestamp).getTime();
+    const inside = time >= from && time <= to;
+    return mode === 'remove' ? !inside : inside;
+  });
+};
+
+/**
+ * Split a raw track at a moment
+ * @param {array} rawPath - The ride's raw GPS points
+ * @param {Date} at - Split time; points at or after it go to the second part
+ * @returns {array} [firstPart, secondPart]
+ */
+const splitTrack = (rawPath, at) => {
+  const time = new Date(at).getTime();
+  return [
+    rawPath.filter(point => new Date(point.timestamp).getTime() < time),
+    rawPath.filter(point => new Date(point.timestamp).getTime() >= time)
+  ];
+};
+
+/**
+ * Join raw tracks end to end
+ * Points that don't come after the previous track's end are dropped so
+ * timestamps stay strictly increasing.
+ * @param {array} paths - Raw tracks in ride order
+ * @returns {array} Combined GPS points
+ */
+const mergeTracks = (paths) => {
+  const merged = [];
+  let lastTime = -Infinity;
+
+  paths.forEach(path => {
+    path.forEach(point => {
+      const time = new Date(point.timestamp).getTime();
+      if (time > lastTime) {
+        merged.push(point);
+        lastTime = time;
+      }
+    });
+  });
+
+  return merged;
+};
+
+/**
+ * Divide a ride's segments between the two parts of a split
+ * Segments spanning the split time fit neither part and are dropped.
+ * @param {array} segments - Ride segments
+ * @param {Date} at - Split time
+ * @returns {object} { first, second, dropped } segment lists
+ */
+const partitionSegments = (segments, at) => {
+  const time = new Date(at).getTime();
+  const result = { first: [], second: [], dropped: [] };
+
+  segments.forEach(segment => {
+    const plain = typeof segment.toObject === 'function' ? segment.toObject() : { ...segment };
+    if (new Date(plain.segmentEndTime).getTime() <= time) {
+      result.first.push(plain);
+    } else if (new Date(plain.segmentStartTime).getTime() >= time) {
+      result.second.push(plain);
+    } else {
+      result.dropped.push(plain);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Number segments 1..n in their current order
+ * @param {array} segments - Plain segment objects
+ * @returns {array} Segments with segmentNumber reassigned (new _ids are generated on save)
+ */
+const renumberSegments = (segments) => {
+  return segments.map((segment, i) => {
+    const { _id, ...rest } = segment;
+    return { ...rest, segmentNumber: i + 1 };
+  });
+};
+
+module.exports = {
+  parseCropRange,
+  resolveCropWindow,
+  cropTrack,
+  splitTrack,
+  mergeTracks,
+  partitionSegments,
+  renumberSegments
+};
@@ -0,0 +1,290 @@
+const { calculateDistance } = require('./helpers');
+
+/**
+ * Supported export formats
+ * extension - File extension for the download
+ * contentType - MIME type sent with the response
+ */
+const EXPORT_FORMATS = {
+  gpx: { extension: 'gpx', contentType: 'application/gpx+xml' },
+  tcx: { extension: 'tcx', contentType: 'application/vnd.garmin.tcx+xml' },
+  geojson: { extension: 'geojson', contentType: 'application/geo+json' },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml' }
+};
+
+/**
+ * Escape text for use inside XML elements and attributes
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Convert a date to an ISO 8601 UTC string
+ * @param {Date|string} date - Date value
+ * @returns {string} ISO string
+ */
+const toIso = (date) => new Date(date).toISOString();
+
+/**
+ * Build a download filename from the ride name
+ * @param {string} rideName - Ride name
+ * @param {string} format - Export format key
+ * @returns {string} Filename, e.g. "morning-ride.gpx"
+ */
+const buildExportFilename = (rideName, format) => {
+  const base = String(rideName || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase()
+    .slice(0, 80);
+
+  return `${base || 'ride'}.${EXPORT_FORMATS[format].extension}`;
+};
+
+/**
+ * Build a GPX 1.1 document
+ * @param {object} ride - Ride document
+ * @param {array} gpsPath - GPS points
+ * @returns {string} GPX XML
+ */
+const buildGpx = (ride, gpsPath) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Bike Tracker" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    '  <metadata>',
+    `    <name>${escapeXml(ride.rideName)}</name>`,
+    `    <time>${toIso(ride.startTime)}</time>`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(ride.rideName)}</name>`
+  ];
+
+  if (ride.description) {
+    lines.push(`    <desc>${escapeXml(ride.description)}</desc>`);
+  }
+
+  lines.push('    <type>cycling</type>', '    <trkseg>');
+
+  gpsPath.forEach(point => {
+    lines.push(
+      `      <trkpt lat="${point.latitude}" lon="${point.longitude}">`,
+      `        <ele>${point.altitude || 0}</ele>`,
+      `        <time>${toIso(point.timestamp)}</time>`,
+      '      </trkpt>'
+    );
+  });
+
+  lines.push('    </trkseg>', '  </trk>', '</gpx>');
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Split the GPS path into laps using the ride's segments
+ * Falls back to one lap covering the whole ride when no segments exist.
+ * @param {object} ride - Ride document
+ * @param {array} path - GPS points
+ * @returns {array} Laps of { startTime, totalTime, distance, points }
+ */
+const buildLaps = (ride, path) => {
+  const segments = [...(ride.segments || [])].sort((a, b) => a.segmentNumber - b.segmentNumber);
+
+  if (segments.length === 0) {
+    return [{
+      startTime: path[0].timestamp,
+      totalTime: ride.elapsedTime,
+      distance: ride.distance,
+      points: path
+    }];
+  }
+
+  return segments.map(segment => {
+    const start = new Date(segment.segmentStartTime);
+    const end = new Date(segment.segmentEndTime);
+
+    return {
+      startTime: segment.segmentStartTime,
+      totalTime: segment.segmentTime,
+      distance: segment.segmentDistance,
+      points: path.filter(point => {
+        const time = new Date(point.timestamp);
+        return time >= start && time <= end;
+      })
+    };
+  });
+};
+
+/**
+ * Build a Garmin Training Center (TCX v2) document
+ * @param {object} ride - Ride document
+ * @param {array} path - GPS points
+ * @returns {string} TCX XML
+ */
+const buildTcx = (ride, path) => {
+
+  // Cumulative distance in meters, keyed by point
+  const cumulative = new Map();
+  let meters = 0;
+  path.forEach((point, i) => {
+    if (i > 0) {
+      meters += calculateDistance(
+        path[i - 1].latitude,
+        path[i - 1].longitude,
+        point.latitude,
+        point.longitude
+      ) * 1000;
+    }
+    cumulative.set(point, meters);
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">',
+    '  <Activities>',
+    '    <Activity Sport="Biking">',
+    `      <Id>${toIso(path[0].timestamp)}</Id>`
+  ];
+
+  buildLaps(ride, path).forEach(lap => {
+    lines.push(
+      `      <Lap StartTime="${toIso(lap.startTime)}">`,
+      `        <TotalTimeSeconds>${lap.totalTime}</TotalTimeSeconds>`,
+      `        <DistanceMeters>${(lap.distance * 1000).toFixed(1)}</DistanceMeters>`,
+      '        <Calories>0</Calories>',
+      '        <Intensity>Active</Intensity>',
+      '        <TriggerMethod>Manual</TriggerMethod>'
+    );
+
+    // A TCX track must hold at least one trackpoint
+    if (lap.points.length === 0) {
+      lines.push('      </Lap>');
+      return;
+    }
+
+    lines.push('        <Track>');
+
+    lap.points.forEach(point => {
+      lines.push(
+        '          <Trackpoint>',
+        `            <Time>${toIso(point.timestamp)}</Time>`,
+        '            <Position>',
+        `              <LatitudeDegrees>${point.latitude}</LatitudeDegrees>`,
+        `              <LongitudeDegrees>${point.longitude}</LongitudeDegrees>`,
+        '            </Position>',
+        `            <AltitudeMeters>${point.altitude || 0}</AltitudeMeters>`,
+        `            <DistanceMeters>${cumulative.get(point).toFixed(1)}</DistanceMeters>`,
+        '          </Trackpoint>'
+      );
+    });
+
+    lines.push('        </Track>', '      </Lap>');
+  });
+
+  lines.push('    </Activity>', '  </Activities>', '</TrainingCenterDatabase>');
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Build a GeoJSON FeatureCollection with one LineString feature
+ * Timestamps are listed in properties.coordTimes, one per coordinate.
+ * @param {object} ride - Ride document
+ * @param {array} gpsPath - GPS points
+ * @returns {string} GeoJSON text
+ */
+const buildGeoJson = (ride, gpsPath) => {
+  const feature = {
+    type: 'Feature',
+    properties: {
+      name: ride.rideName,
+      description: ride.description || '',
+      startTime: toIso(ride.startTime),
+      endTime: toIso(ride.endTime),
+      distance: ride.distance,
+      elevationGained: ride.elevationGained,
+      coordTimes: gpsPath.map(point => toIso(point.timestamp))
+    },
+    geometry: {
+      type: 'LineString',
+      coordinates: gpsPath.map(point => [point.longitude, point.latitude, point.altitude || 0])
+    }
+  };
+
+  return JSON.stringify({ type: 'FeatureCollection', features: [feature] }, null, 2);
+};
+
+/**
+ * Build a KML 2.2 document using a gx:Track for timestamps
+ * @param {object} ride - Ride document
+ * @param {array} gpsPath - GPS points
+ * @returns {string} KML XML
+ */
+const buildKml = (ride, gpsPath) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(ride.rideName)}</name>`,
+    '    <Style id="ride">',
+    '      <LineStyle><color>ff0055ff</color><width>4</width></LineStyle>',
+    '    </Style>',
+    '    <Placemark>',
+    `      <name>${escapeXml(ride.rideName)}</name>`
+  ];
+
+  if (ride.description) {
+    lines.push(`      <description>${escapeXml(ride.description)}</description>`);
+  }
+
+  lines.push(
+    '      <styleUrl>#ride</styleUrl>',
+    '      <gx:Track>',
+    '        <altitudeMode>absolute</altitudeMode>'
+  );
+
+  gpsPath.forEach(point => {
+    lines.push(`        <when>${toIso(point.timestamp)}</when>`);
+  });
+  gpsPath.forEach(point => {
+    lines.push(`        <gx:coord>${point.longitude} ${point.latitude} ${point.altitude || 0}</gx:coord>`);
+  });
+
+  lines.push('      </gx:Track>', '    </Placemark>', '  </Document>', '</kml>');
+  return lines.join('\n') + '\n';
+};
+
+const builders = {
+  gpx: buildGpx,
+  tcx: buildTcx,
+  geojson: buildGeoJson,
+  kml: buildKml
+};
+
+/**
+ * Export a ride in the requested format
+ * @param {object} ride - Ride document
+ * @param {array} gpsPath - The ride's GPS points
+ * @param {string} format - One of EXPORT_FORMATS keys
+ * @returns {object} { filename, contentType, body }
+ */
+const exportRide = (ride, gpsPath, format) => {
+  return {
+    filename: buildExportFilename(ride.rideName, format),
+    contentType: EXPORT_FORMATS[format].contentType,
+    body: builders[format](ride, gpsPath)
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildExportFilename,
+  exportRide
+};
@@ -0,0 +1,84 @@
+const { simplifyPath, encodePolyline, DETAIL_TOLERANCE, SUMMARY_TOLERANCE } = require('./polyline');
+
+// Douglas-Peucker tolerance (m) for the indexed route line
+const ROUTE_LINE_TOLERANCE = 10;
+
+// Upper bound on route line vertices so geo index keys stay small
+const ROUTE_LINE_MAX_POINTS = 500;
+
+/**
+ * GeoJSON position for a GPS point, rounded to ~0.1 m
+ * @param {object} point - Point with latitude/longitude
+ * @returns {array} [longitude, latitude]
+ */
+const toPosition = (point) => {
+  return [
+    Math.round(point.longitude * 1e6) / 1e6,
+    Math.round(point.latitude * 1e6) / 1e6
+  ];
+};
+
+/**
+ * GeoJSON Point for a GPS point
+ * @param {object} point - Point with latitude/longitude
+ * @returns {object} { type: 'Point', coordinates }
+ */
+const toGeoPoint = (point) => {
+  return { type: 'Point', coordinates: toPosition(point) };
+};
+
+/**
+ * Simplify a GPS path into a GeoJSON LineString
+ * Strides down to ROUTE_LINE_MAX_POINTS if simplification is not enough.
+ * @param {array} gpsPath - GPS points
+ * @returns {object|null} { type: 'LineString', coordinates } or null if the path has no extent
+ */
+const buildRouteLine = (gpsPath) => {
+  if (!gpsPath || gpsPath.length < 2) return null;
+
+  const kept = simplifyPath(gpsPath, ROUTE_LINE_TOLERANCE);
+  const stride = Math.ceil(kept.length / ROUTE_LINE_MAX_POINTS);
+  const sampled = kept.filter((point, i) => i % stride === 0 || i === kept.length - 1);
+
+  // 2dsphere rejects repeated consecutive vertices
+  const coordinates = [];
+  sampled.map(toPosition).forEach(position => {
+    const last = coordinates[coordinates.length - 1];
+    if (!last || last[0] !== position[0] || last[1] !== position[1]) coordinates.push(position);
+  });
+
+  if (coordinates.length < 2) return null;
+
+  return { type: 'LineString', coordinates };
+};
+
+/**
+ * Geo fields and encoded polylines stored on a ride for its GPS path
+ * @param {array} gpsPath - GPS points
+ * @returns {object} { startLocation, endLocation, routeLine, polyline, summaryPolyline }
+ */
+const buildRideGeometry = (gpsPath) => {
+  if (!gpsPath || gpsPath.length === 0) {
+    return {
+      startLocation: undefined,
+      endLocation: undefined,
+      routeLine: undefined,
+      polyline: '',
+      summaryPolyline: ''
+    };
+  }
+
+  return {
+    startLocation: toGeoPoint(gpsPath[0]),
+    endLocation: toGeoPoint(gpsPath[gpsPath.length - 1]),
+    routeLine: buildRouteLine(gpsPath) || undefined,
+    polyline: encodePolyline(simplifyPath(gpsPath, DETAIL_TOLERANCE)),
+    summaryPolyline: encodePolyline(simplifyPath(gpsPath, SUMMARY_TOLERANCE))
+  };
+};
+
+module.exports = {
+  toGeoPoint,
+  buildRouteLine,
+  buildRideGeometry
+};
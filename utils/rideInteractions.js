@@ -0,0 +1,116 @@
+const Ride = require('../models/Ride');
+const Kudos = require('../models/Kudos');
+const Comment = require('../models/Comment');
+const Flag = require('../models/Flag');
+
+// Current kudos and comment counts of a ride
+const countInteractions = async (rideId) => ({
+  kudosCount: await Kudos.countDocuments({ rideId }),
+  commentCount: await Comment.countDocuments({ rideId })
+});
+
+/**
+ * Recount the kudos and comments stored on rides
+ * @param {array} rideIds - Rides to update
+ */
+const refreshInteractionCounts = async (rideIds) => {
+  for (const rideId of rideIds) {
+    await Ride.updateOne({ _id: rideId }, await countInteractions(rideId));
+  }
+};
+
+/**
+ * Delete comments with their replies and update the rides' comment counts
+ * Pending reports on the deleted comments are closed.
+ * @param {object} filter - Comment filter (e.g. { _id } or { userId })
+ * @returns {array} IDs of every deleted comment
+ */
+const deleteComments = async (filter) => {
+  const comments = await Comment.find(filter).select('_id rideId');
+  if (comments.length === 0) return [];
+
+  const replies = await Comment.find({ parentId: { $in: comments.map(comment => comment._id) } })
+    .select('_id rideId');
+  const deleted = [...comments, ...replies];
+  const commentIds = deleted.map(comment => comment._id);
+
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await Flag.updateMany(
+    { commentId: { $in: commentIds }, status: 'pending' },
+    { status: 'resolved', reviewedAt: new Date(), adminNotes: 'Comment was deleted' }
+  );
+
+  const rideIds = [...new Set(deleted.map(comment => comment.rideId.toString()))];
+  await refreshInteractionCounts(rideIds);
+
+  return commentIds;
+};
+
+/**
+ * Remove everything a user left on other rides (account deletion)
+ * @param {string} userId - User ID
+ */
+const deleteUserInteractions = async (userId) => {
+  await deleteComments({ userId });
+
+  const kudosRideIds = await Kudos.find({ userId }).distinct('rideId');
+  await Kudos.deleteMany({ userId });
+  await refreshInteractionCounts(kudosRideIds);
+};
+
+/**
+ * Delete the kudos and comments of rides that are being deleted
+ * Pending reports on the deleted comments are closed.
+ * @param {string|array} rideIds - One ride ID or an array of them
+ */
+const deleteRideInteractions = async (rideIds) => {
+  const ids = Array.isArray(rideIds) ? rideIds : [rideIds];
+  const commentIds = await Comment.find({ rideId: { $in: ids } }).distinct('_id');
+
+  await Kudos.deleteMany({ rideId: { $in: ids } });
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await Flag.updateMany(
+    { commentId: { $in: commentIds }, status: 'pending' },
+    { status: 'resolved', reviewedAt: new Date(), adminNotes: 'Ride was deleted' }
+  );
+};
+
+/**
+ * Move kudos and comments onto another ride (ride merge)
+ * Kudos from users who already gave the target ride kudos are dropped.
+ * @param {array} fromIds - Rides being merged away
+ * @param {string} toId - Ride that remains
+ * @returns {object} The remaining ride's new { kudosCount, commentCount }
+ */
+const moveRideInteractions = async (fromIds, toId) => {
+  await Comment.updateMany({ rideId: { $in: fromIds } }, { rideId: toId });
+
+  const existing = await Kudos.find({ rideId: toId }).distinct('userId');
+  await Kudos.deleteMany({ rideId: { $in: fromIds }, userId: { $in: existing } });
+
+  // The same user may have given kudos to several of the merged rides
+  const moving = await Kudos.find({ rideId: { $in: fromIds } }).sort({ createdAt: 1 });
+  const movedUsers = new Set();
+  for (const kudos of moving) {
+    const user = kudos.userId.toString();
+    if (movedUsers.has(user)) {
+      await Kudos.deleteOne({ _id: kudos._id });
+    } else {
+      await Kudos.updateOne({ _id: kudos._id }, { rideId: toId });
+      movedUsers.add(user);
+    }
+  }
+
+  const counts = await countInteractions(toId);
+  await Ride.updateOne({ _id: toId }, counts);
+
+  return counts;
+};
+
+module.exports = {
+  refreshInteractionCounts,
+  deleteComments,
+  deleteUserInteractions,
+  deleteRideInteractions,
+  moveRideInteractions
+};
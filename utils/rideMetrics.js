@@ -0,0 +1,82 @@
+const { calculateDistance, calculateTotalDistance, calculateElevationGain } = require('./helpers');
+const { detectPauses } = require('./pauseDetection');
+const { pauseDetection } = require('../config/ride');
+
+/**
+ * Derive ride summary metrics from a GPS path
+ * Moving time and speeds exclude the auto-detected pauses.
+ * @param {array} gpsPath - Chronological GPS points ({ latitude, longitude, altitude, timestamp })
+ * @param {object} pauseOptions - Pause detection settings (defaults to config)
+ * @returns {object} Metrics using the Ride model units (km, seconds, km/h, meters) plus pauses
+ */
+const deriveRideMetrics = (gpsPath, pauseOptions = pauseDetection) => {
+  const metrics = {
+    distance: 0,
+    elapsedTime: 0,
+    movingTime: 0,
+    averageSpeed: 0,
+    maxSpeed: 0,
+    elevationGained: 0,
+    startTime: null,
+    endTime: null,
+    pauses: []
+  };
+
+  if (!gpsPath || gpsPath.length === 0) return metrics;
+
+  metrics.startTime = new Date(gpsPath[0].timestamp);
+  metrics.endTime = new Date(gpsPath[gpsPath.length - 1].timestamp);
+  metrics.elapsedTime = Math.round((metrics.endTime - metrics.startTime) / 1000);
+  metrics.distance = calculateTotalDistance(gpsPath);
+  metrics.elevationGained = calculateElevationGain(gpsPath);
+
+  const { pauses, movingTime } = detectPauses(gpsPath, pauseOptions);
+  metrics.pauses = pauses;
+  metrics.movingTime = movingTime;
+  metrics.averageSpeed = movingTime > 0 ? metrics.distance / (movingTime / 3600) : 0;
+
+  // Intervals inside a pause do not count towards max speed
+  const paused = new Array(gpsPath.length).fill(false);
+  pauses.forEach(pause => {
+    for (let i = pause.startIndex + 1; i <= pause.endIndex; i++) paused[i] = true;
+  });
+
+  for (let i = 1; i < gpsPath.length; i++) {
+    const seconds = (new Date(gpsPath[i].timestamp) - new Date(gpsPath[i - 1].timestamp)) / 1000;
+    if (seconds <= 0 || paused[i]) continue;
+
+    const km = calculateDistance(
+      gpsPath[i - 1].latitude,
+      gpsPath[i - 1].longitude,
+      gpsPath[i].latitude,
+      gpsPath[i].longitude
+    );
+    const speed = km / (seconds / 3600);
+    if (speed > metrics.maxSpeed) metrics.maxSpeed = speed;
+  }
+
+  return metrics;
+};
+
+/**
+ * Compare client-reported metrics with server-derived ones
+ * Only metrics the client actually reported are checked.
+ * @param {object} claimed - Client-reported metrics
+ * @param {object} derived - Metrics from deriveRideMetrics
+ * @param {object} options - { tolerance, minimumDifference }
+ * @returns {array} Divergent metrics as { field, claimed, derived }
+ */
+const compareRideMetrics = (claimed, derived, { tolerance, minimumDifference }) => {
+  return Object.keys(minimumDifference)
+    .filter(field => typeof claimed[field] === 'number' && Number.isFinite(claimed[field]))
+    .filter(field => {
+      const difference = Math.abs(claimed[field] - derived[field]);
+      return difference > Math.max(derived[field] * tolerance, minimumDifference[field]);
+    })
+    .map(field => ({ field, claimed: claimed[field], derived: derived[field] }));
+};
+
+module.exports = {
+  deriveRideMetrics,
+  compareRideMetrics
+};
@@ -0,0 +1,97 @@
+const { cleanGpsPath } = require('./gpsCleaning');
+const { deriveRideMetrics } = require('./rideMetrics');
+const { findBestEfforts } = require('./bestEfforts');
+const { buildRideGeometry } = require('./rideGeometry');
+const { detectClimbs } = require('./climbDetection');
+const { sanitizeSensorValues, presentSensorChannels, deriveSensorSummary } = require('./sensorMetrics');
+const { GPS_CHANNELS } = require('./rideStreams');
+const { gpsCleaning, SMOOTHING_METHODS } = require('../config/ride');
+
+/**
+ * Merge user-supplied cleaning settings over the configured defaults
+ * Invalid values fall back to the defaults.
+ * @param {object} overrides - Partial cleaning settings
+ * @returns {object} Complete cleaning settings
+ */
+const resolveCleaningSettings = (overrides = {}) => {
+  const settings = { ...gpsCleaning };
+
+  const maxSpeed = parseFloat(overrides.maxSpeed);
+  if (maxSpeed > 0) settings.maxSpeed = maxSpeed;
+
+  if (typeof overrides.removeDuplicates === 'boolean') {
+    settings.removeDuplicates = overrides.removeDuplicates;
+  }
+
+  if (SMOOTHING_METHODS.includes(overrides.smoothing)) {
+    settings.smoothing = overrides.smoothing;
+  }
+
+  const windowSize = parseInt(overrides.windowSize);
+  if (windowSize >= 3 && windowSize <= 51) settings.windowSize = windowSize;
+
+  const processNoise = parseFloat(overrides.processNoise);
+  if (processNoise > 0) settings.processNoise = processNoise;
+
+  const measurementNoise = parseFloat(overrides.measurementNoise);
+  if (measurementNoise > 0) settings.measurementNoise = measurementNoise;
+
+  return settings;
+};
+
+/**
+ * Run the full processing pipeline on a raw GPS path
+ * @param {array} rawPath - Raw GPS points as recorded
+ * @param {object} cleaningOverrides - Optional cleaning settings
+ * @returns {object} { gpsPath, metrics, sensors, processing, bestEfforts, climbs }
+ */
+const processRideTrack = (rawPath, cleaningOverrides) => {
+  const { points, summary } = cleanGpsPath(sanitizeSensorValues(rawPath), resolveCleaningSettings(cleaningOverrides));
+
+  return {
+    gpsPath: points,
+    metrics: deriveRideMetrics(points),
+    sensors: deriveSensorSummary(points),
+    processing: summary,
+    bestEfforts: findBestEfforts(points),
+    climbs: detectClimbs(points)
+  };
+};
+
+/**
+ * Copy everything derived from a processed track onto a ride
+ * The points themselves are stored separately with saveRideStream.
+ * Coins are recalculated from the new metrics.
+ * @param {object} ride - Ride document
+ * @param {object} track - Result of processRideTrack
+ */
+const applyRideTrack = (ride, track) => {
+  const { metrics } = track;
+
+  ride.streamInfo.pointCount = track.gpsPath.length;
+  ride.streamInfo.channels = [...GPS_CHANNELS, ...presentSensorChannels(track.gpsPath)];
+  ride.processing = track.processing;
+  ride.distance = metrics.distance;
+  ride.elapsedTime = metrics.elapsedTime;
+  ride.movingTime = metrics.movingTime;
+  ride.averageSpeed = metrics.averageSpeed;
+  ride.maxSpeed = metrics.maxSpeed;
+  ride.elevationGained = metrics.elevationGained;
+  ride.startTime = metrics.startTime;
+  ride.endTime = metrics.endTime;
+  ride.pauses = metrics.pauses;
+  Object.assign(ride, track.sensors);
+  ride.bestEfforts = track.bestEfforts;
+  ride.climbs = track.climbs;
+  Object.assign(ride, buildRideGeometry(track.gpsPath));
+  ride.metricsSource = 'server';
+
+  // Calculate coins: (Distance × Average Speed) / 2
+  ride.coinsEarned = Math.round((metrics.distance * metrics.averageSpeed) / 2);
+};
+
+module.exports = {
+  resolveCleaningSettings,
+  processRideTrack,
+  applyRideTrack
+};
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const RideStream = require('../models/RideStream');
+
+// Stream channels and the GPS point field each one is read from
+const STREAM_CHANNELS = {
+  time: 'timestamp',
+  latitude: 'latitude',
+  longitude: 'longitude',
+  altitude: 'altitude',
+  heartRate: 'heartRate',
+  cadence: 'cadence',
+  power: 'power',
+  temperature: 'temperature'
+};
+
+// Channels every GPS stream has
+const GPS_CHANNELS = ['time', 'latitude', 'longitude', 'altitude'];
+
+// A chunk covers at most this much ride time (seconds) ...
+const CHUNK_DURATION = 3600;
+// ... and at most this many points, whatever the recording rate
+const CHUNK_MAX_POINTS = 5000;
+
+/**
+ * Split GPS points into columnar, time-bounded stream chunks
+ * @param {string} rideId - Ride ID
+ * @param {string} kind - 'processed', 'raw' or 'backup'
+ * @param {array} points - Chronological GPS points
+ * @returns {array} RideStream documents
+ */
+const buildStreamChunks = (rideId, kind, points) => {
+  const chunks = [];
+  let startOffset = 0;
+
+  while (startOffset < points.length) {
+    const chunkStart = new Date(points[startOffset].timestamp).getTime();
+    let end = startOffset + 1;
+    while (
+      end < points.length &&
+      end - startOffset < CHUNK_MAX_POINTS &&
+      new Date(points[end].timestamp).getTime() - chunkStart < CHUNK_DURATION * 1000
+    ) {
+      end++;
+    }
+
+    const slice = points.slice(startOffset, end);
+    const chunk = {
+      rideId,
+      kind,
+      chunkIndex: chunks.length,
+      startOffset,
+      pointCount: slice.length,
+      startTime: slice[0].timestamp,
+      endTime: slice[slice.length - 1].timestamp
+    };
+    Object.entries(STREAM_CHANNELS).forEach(([channel, field]) => {
+      // Channels the chunk has no data for are left out entirely
+      if (slice.some(point => point[field] !== undefined && point[field] !== null)) {
+        chunk[channel] = slice.map(point => point[field] ?? null);
+      }
+    });
+
+    chunks.push(chunk);
+    startOffset = end;
+  }
+
+  return chunks;
+};
+
+/**
+ * Replace one of a ride's streams
+ * The new chunks are written as a new version and stay hidden until all of
+ * them are in; the old stream is removed only after that, so a failed write
+ * leaves it untouched.
+ * @param {string} rideId - Ride ID
+ * @param {string} kind - 'processed', 'raw' or 'backup'
+ * @param {array} points - Chronological GPS points
+ * @param {Date} expiresAt - Optional date after which the chunks are deleted
+ * @returns {number} Number of chunks written
+ */
+const saveRideStream = async (rideId, kind, points, expiresAt = null) => {
+  const version = new mongoose.Types.ObjectId();
+  const chunks = points && points.length > 0 ? buildStreamChunks(rideId, kind, points) : [];
+  chunks.forEach(chunk => {
+    chunk.version = version;
+    chunk.complete = false;
+    if (expiresAt) chunk.expiresAt = expiresAt;
+  });
+
+  if (chunks.length > 0) {
+    try {
+      await RideStream.insertMany(chunks);
+    } catch (error) {
+      await RideStream.deleteMany({ rideId, kind, version });
+      throw error;
+    }
+    await RideStream.updateMany({ rideId, kind, version }, { complete: true });
+  }
+
+  // Old versions, including leftovers of earlier failed writes
+  await RideStream.deleteMany({ rideId, kind, version: { $ne: version } });
+
+  return chunks.length;
+};
+
+// Version key of a chunk; chunks written before versioning sort first
+const chunkVersion = (chunk) => (chunk.version ? chunk.version.toString() : '');
+
+/**
+ * Load channels of a ride's stream as concatenated arrays
+ * @param {string} rideId - Ride ID
+ * @param {array} channels - Channel names (defaults to all)
+ * @param {string} kind - 'processed', 'raw' or 'backup'
+ * @returns {object} { channel: [values] }, empty arrays when no stream exists
+ */
+const loadRideStreams = async (rideId, channels = Object.keys(STREAM_CHANNELS), kind = 'processed') => {
+  const found = await RideStream.find({ rideId, kind, complete: { $ne: false } })
+    .sort({ chunkIndex: 1 })
+    .select(['pointCount', 'version', ...channels].join(' '))
+    .lean();
+
+  // Right after a write the replaced version may still be there
+  const latest = found.reduce((max, chunk) => (chunkVersion(chunk) > max ? chunkVersion(chunk) : max), '');
+  const chunks = found.filter(chunk => chunkVersion(chunk) === latest);
+
+  const streams = {};
+  channels.forEach(channel => {
+    // Pad chunks without this channel so every array stays aligned with time
+    streams[channel] = [].concat(...chunks.map(chunk =>
+      chunk[channel] && chunk[channel].length === chunk.pointCount
+        ? chunk[channel]
+        : new Array(chunk.pointCount).fill(null)
+    ));
+  });
+
+  return streams;
+};
+
+/**
+ * Load a ride's stream as GPS point objects
+ * @param {string} rideId - Ride ID
+ * @param {string} kind - 'processed', 'raw' or 'backup'
+ * @returns {array} GPS points of { latitude, longitude, altitude, timestamp, ... }
+ */
+const loadRidePath = async (rideId, kind = 'processed') => {
+  const streams = await loadRideStreams(rideId, Object.keys(STREAM_CHANNELS), kind);
+
+  return streams.time.map((time, i) => {
+    const point = {};
+    Object.entries(STREAM_CHANNELS).forEach(([channel, field]) => {
+      const value = streams[channel][i];
+      if (value !== null && value !== undefined) point[field] = value;
+    });
+    return point;
+  });
+};
+
+/**
+ * Evenly downsample stream arrays, always keeping the first and last point
+ * @param {object} streams - { channel: [values] } of equal length
+ * @param {number} maxPoints - Maximum points to return
+ * @returns {object} Downsampled { channel: [values] }
+ */
+const downsampleStreams = (streams, maxPoints) => {
+  const length = Math.max(0, ...Object.values(streams).map(values => values.length));
+  if (!(maxPoints >= 2) || length <= maxPoints) return streams;
+
+  const indexes = [];
+  for (let i = 0; i < maxPoints; i++) {
+    indexes.push(Math.round(i * (length - 1) / (maxPoints - 1)));
+  }
+
+  const result = {};
+  Object.entries(streams).forEach(([channel, values]) => {
+    result[channel] = indexes.map(index => values[index]);
+  });
+
+  return result;
+};
+
+/**
+ * Delete every stream of the given rides
+ * @param {string|array} rideIds - Ride ID or IDs
+ */
+const deleteRideStreams = async (rideIds) => {
+  await RideStream.deleteMany({ rideId: { $in: [].concat(rideIds) } });
+};
+
+module.exports = {
+  STREAM_CHANNELS,
+  GPS_CHANNELS,
+  buildStreamChunks,
+  saveRideStream,
+  loadRideStreams,
+  loadRidePath,
+  downsampleStreams,
+  deleteRideStreams
+};
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { getFollowingIds, isFollowing } = require('./follows');
+
+// Who can see a ride besides its owner and admins
+const RIDE_VISIBILITIES = ['public', 'followers', 'private'];
+
+// Whether the requesting user is an admin (admins see every ride)
+const isAdmin = (viewer) => Boolean(viewer && viewer.role === 'admin');
+
+// Owner ID of a ride whose userId may be populated
+const rideOwnerId = (ride) => (ride.userId && ride.userId._id ? ride.userId._id : ride.userId);
+
+/**
+ * Query filter matching the rides a user may see
+ * Works in find() and in aggregation $match stages.
+ * @param {object} viewer - Requesting user (req.user)
+ * @param {string} prefix - Path of the ride document in an aggregation (e.g. 'ride.')
+ * @returns {object} Filter to merge into a ride query
+ */
+const visibleRidesFilter = async (viewer, prefix = '') => {
+  if (isAdmin(viewer)) return {};
+
+  const followingIds = await getFollowingIds(viewer.userId);
+
+  return {
+    $or: [
+      { [`${prefix}userId`]: new mongoose.Types.ObjectId(viewer.userId) },
+      { [`${prefix}visibility`]: 'public' },
+      { [`${prefix}visibility`]: 'followers', [`${prefix}userId`]: { $in: followingIds } }
+    ]
+  };
+};
+
+/**
+ * Query filter matching the rides a user may find in searches and
+ * rankings: their own, plus everyone else's that are not held for review
+ * Works in find() and in aggregation $match stages.
+ * @param {string} userId - Requesting user's ID
+ * @param {string} prefix - Path of the ride document in an aggregation (e.g. 'ride.')
+ * @returns {object} Filter to merge into a ride query
+ */
+const reviewedRidesFilter = (userId, prefix = '') => ({
+  $or: [
+    { [`${prefix}userId`]: new mongoose.Types.ObjectId(userId) },
+    { [`${prefix}isFlagged`]: false }
+  ]
+});
+
+/**
+ * Whether a user may see a ride
+ * @param {object} ride - Ride with userId and visibility
+ * @param {object} viewer - Requesting user (req.user)
+ * @returns {boolean} True for the owner, admins and visible rides
+ */
+const canViewRide = async (ride, viewer) => {
+  if (isAdmin(viewer)) return true;
+  if (rideOwnerId(ride).toString() === viewer.userId) return true;
+
+  if (ride.visibility === 'followers') {
+    return isFollowing(viewer.userId, rideOwnerId(ride));
+  }
+  return ride.visibility === 'public';
+};
+
+module.exports = {
+  RIDE_VISIBILITIES,
+  visibleRidesFilter,
+  reviewedRidesFilter,
+  canViewRide
+};
@@ -0,0 +1,295 @@
+const Segment = require('../models/Segment');
+const SegmentEffort = require('../models/SegmentEffort');
+const { calculateDistance, calculateTotalDistance, calculateElevationGain } = require('./helpers');
+
+// Max distance (m) the ride may stray from the segment line
+const ROUTE_CORRIDOR = 50;
+
+// Accepted ratio of ride distance between the gates to segment distance
+const MIN_DISTANCE_RATIO = 0.8;
+const MAX_DISTANCE_RATIO = 1.3;
+
+// Segment points checked against the ride when confirming a match
+const ROUTE_SAMPLES = 50;
+
+// Default gate radius in meters
+const DEFAULT_GATE_RADIUS = 25;
+
+/**
+ * Haversine distance between two points in meters
+ * @param {object} a - Point with latitude/longitude
+ * @param {object} b - Point with latitude/longitude
+ * @returns {number} Distance in meters
+ */
+const distanceMeters = (a, b) => {
+  return calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) * 1000;
+};
+
+/**
+ * Distance in meters from a point to the line between two points
+ * Projects onto a local flat plane, which is accurate at gate scale.
+ * @param {object} point - Point to measure from
+ * @param {object} a - Line start
+ * @param {object} b - Line end
+ * @returns {number} Distance in meters
+ */
+const distanceToLineMeters = (point, a, b) => {
+  const metersPerDegreeLat = 111320;
+  const metersPerDegreeLng = 111320 * Math.cos(point.latitude * Math.PI / 180);
+  const ax = (a.longitude - point.longitude) * metersPerDegreeLng;
+  const ay = (a.latitude - point.latitude) * metersPerDegreeLat;
+  const bx = (b.longitude - point.longitude) * metersPerDegreeLng;
+  const by = (b.latitude - point.latitude) * metersPerDegreeLat;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1) : 0;
+
+  return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+/**
+ * Bounding box of a list of points
+ * @param {array} points - Points with latitude/longitude
+ * @returns {object} { minLatitude, maxLatitude, minLongitude, maxLongitude }
+ */
+const getPathBounds = (points) => {
+  return points.reduce((bounds, point) => ({
+    minLatitude: Math.min(bounds.minLatitude, point.latitude),
+    maxLatitude: Math.max(bounds.maxLatitude, point.latitude),
+    minLongitude: Math.min(bounds.minLongitude, point.longitude),
+    maxLongitude: Math.max(bounds.maxLongitude, point.longitude)
+  }), { minLatitude: 90, maxLatitude: -90, minLongitude: 180, maxLongitude: -180 });
+};
+
+/**
+ * Build segment geometry and metrics from a slice of a GPS path
+ * @param {array} points - GPS points along the segment
+ * @param {number} gateRadius - Gate radius in meters
+ * @returns {object} Fields for the Segment model
+ */
+const buildSegmentGeometry = (points, gateRadius = DEFAULT_GATE_RADIUS) => {
+  const line = points.map(point => ({
+    latitude: point.latitude,
+    longitude: point.longitude,
+    altitude: point.altitude || 0
+  }));
+  const first = line[0];
+  const last = line[line.length - 1];
+  const distance = calculateTotalDistance(line);
+
+  return {
+    points: line,
+    startGate: { latitude: first.latitude, longitude: first.longitude, radius: gateRadius },
+    endGate: { latitude: last.latitude, longitude: last.longitude, radius: gateRadius },
+    bounds: getPathBounds(line),
+    distance,
+    elevationGain: calculateElevationGain(line),
+    averageGrade: distance > 0 ? ((last.altitude - first.altitude) / (distance * 1000)) * 100 : 0
+  };
+};
+
+/**
+ * Find where a path passes through a gate
+ * Each pass is the point closest to the gate center within one run of
+ * consecutive points (or steps) that come within the gate radius.
+ * @param {array} gpsPath - GPS points
+ * @param {object} gate - { latitude, longitude, radius }
+ * @returns {array} Point indexes, one per pass
+ */
+const findGatePasses = (gpsPath, gate) => {
+  const passes = [];
+  let best = null;
+
+  for (let i = 0; i < gpsPath.length; i++) {
+    const distance = distanceMeters(gpsPath[i], gate);
+    const stepCrosses = i > 0 && distanceToLineMeters(gate, gpsPath[i - 1], gpsPath[i]) <= gate.radius;
+
+    if (distance <= gate.radius || stepCrosses) {
+      if (!best || distance < best.distance) best = { index: i, distance };
+    } else if (best) {
+      passes.push(best.index);
+      best = null;
+    }
+  }
+  if (best) passes.push(best.index);
+
+  return passes;
+};
+
+/**
+ * Check that the ride between two indexes follows the segment line
+ * @param {array} gpsPath - GPS points
+ * @param {number} startIndex - Ride index at the start gate
+ * @param {number} endIndex - Ride index at the end gate
+ * @param {array} segmentPoints - Segment polyline
+ * @returns {boolean} True if every sampled segment point is near the ride
+ */
+const followsSegment = (gpsPath, startIndex, endIndex, segmentPoints) => {
+  const step = Math.max(1, Math.floor(segmentPoints.length / ROUTE_SAMPLES));
+
+  for (let s = 0; s < segmentPoints.length; s += step) {
+    let near = false;
+    for (let i = startIndex; i <= endIndex && !near; i++) {
+      near = distanceMeters(gpsPath[i], segmentPoints[s]) <= ROUTE_CORRIDOR ||
+        (i > startIndex && distanceToLineMeters(segmentPoints[s], gpsPath[i - 1], gpsPath[i]) <= ROUTE_CORRIDOR);
+    }
+    if (!near) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Find every traversal of a segment along a GPS path
+ * @param {array} gpsPath - Chronological GPS points
+ * @param {object} segment - Segment with points, startGate, endGate and distance
+ * @returns {array} Matches of { startIndex, endIndex, elapsedTime, startTime, endTime, distance }
+ */
+const matchSegment = (gpsPath, segment) => {
+  if (!gpsPath || gpsPath.length < 2) return [];
+
+  const starts = findGatePasses(gpsPath, segment.startGate);
+  if (starts.length === 0) return [];
+  const ends = findGatePasses(gpsPath, segment.endGate);
+  if (ends.length === 0) return [];
+
+  const cumulative = [0];
+  for (let i = 1; i < gpsPath.length; i++) {
+    cumulative.push(cumulative[i - 1] + distanceMeters(gpsPath[i - 1], gpsPath[i]) / 1000);
+  }
+
+  const matches = [];
+  let lastEnd = -1;
+
+  starts.forEach(startIndex => {
+    if (startIndex <= lastEnd) return;
+
+    for (const endIndex of ends) {
+      if (endIndex <= startIndex) continue;
+
+      const covered = cumulative[endIndex] - cumulative[startIndex];
+      if (covered > segment.distance * MAX_DISTANCE_RATIO) break;
+      if (covered < segment.distance * MIN_DISTANCE_RATIO) continue;
+      if (!followsSegment(gpsPath, startIndex, endIndex, segment.points)) continue;
+
+      const startTime = new Date(gpsPath[startIndex].timestamp);
+      const endTime = new Date(gpsPath[endIndex].timestamp);
+      matches.push({
+        startIndex,
+        endIndex,
+        startTime,
+        endTime,
+        elapsedTime: Math.round((endTime - startTime) / 1000),
+        distance: covered
+      });
+      lastEnd = endIndex;
+      break;
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * Match a saved ride against every known segment it could cross
+ * and store the resulting efforts
+ * @param {object} ride - Ride document
+ * @param {array} gpsPath - The ride's processed GPS points
+ * @param {array} segments - Optional segments to check instead of querying
+ * @returns {array} Created SegmentEffort documents
+ */
+const recordSegmentEfforts = async (ride, gpsPath, segments = null) => {
+  if (!gpsPath || gpsPath.length < 2) return [];
+
+  let candidates = segments;
+  if (!candidates) {
+    const bounds = getPathBounds(gpsPath);
+    candidates = await Segment.find({
+      'bounds.minLatitude': { $lte: bounds.maxLatitude },
+      'bounds.maxLatitude': { $gte: bounds.minLatitude },
+      'bounds.minLongitude': { $lte: bounds.maxLongitude },
+      'bounds.maxLongitude': { $gte: bounds.minLongitude }
+    });
+  }
+
+  const efforts = [];
+  candidates.forEach(segment => {
+    matchSegment(gpsPath, segment).forEach(match => {
+      efforts.push({
+        segmentId: segment._id,
+        userId: ride.userId,
+        rideId: ride._id,
+        activityDate: ride.activityDate,
+        ...match
+      });
+    });
+  });
+
+  if (efforts.length === 0) return [];
+
+  const created = await SegmentEffort.insertMany(efforts);
+
+  // Keep per-segment effort counts up to date
+  const counts = {};
+  created.forEach(effort => {
+    counts[effort.segmentId] = (counts[effort.segmentId] || 0) + 1;
+  });
+  await Segment.bulkWrite(Object.keys(counts).map(segmentId => ({
+    updateOne: {
+      filter: { _id: segmentId },
+      update: { $inc: { effortCount: counts[segmentId] } }
+    }
+  })));
+
+  return created;
+};
+
+/**
+ * Delete segment efforts and keep segment effort counts in sync
+ * @param {object} filter - SegmentEffort query
+ */
+const removeSegmentEfforts = async (filter) => {
+  const efforts = await SegmentEffort.find(filter).select('segmentId');
+  if (efforts.length === 0) return;
+
+  const counts = {};
+  efforts.forEach(effort => {
+    counts[effort.segmentId] = (counts[effort.segmentId] || 0) + 1;
+  });
+
+  await SegmentEffort.deleteMany(filter);
+  await Segment.bulkWrite(Object.keys(counts).map(segmentId => ({
+    updateOne: {
+      filter: { _id: segmentId },
+      update: { $inc: { effortCount: -counts[segmentId] } }
+    }
+  })));
+};
+
+/**
+ * Remove all segment efforts recorded for a ride
+ * @param {string} rideId - Ride ID
+ */
+const clearSegmentEfforts = async (rideId) => {
+  await removeSegmentEfforts({ rideId });
+};
+
+/**
+ * Remove all segment efforts recorded by a user
+ * @param {string} userId - User ID
+ */
+const clearUserSegmentEfforts = async (userId) => {
+  await removeSegmentEfforts({ userId });
+};
+
+module.exports = {
+  DEFAULT_GATE_RADIUS,
+  getPathBounds,
+  buildSegmentGeometry,
+  findGatePasses,
+  matchSegment,
+  recordSegmentEfforts,
+  clearSegmentEfforts,
+  clearUserSegmentEfforts
+};
@@ -0,0 +1,55 @@
+const Ride = require('../models/Ride');
+const Segment = require('../models/Segment');
+const SegmentEffort = require('../models/SegmentEffort');
+const { loadRidePath } = require('./rideStreams');
+const { recordSegmentEfforts } = require('./segmentMatcher');
+
+// Degrees added around the segment bounds (~100 m) so simplified route lines still intersect
+const SEARCH_MARGIN = 0.001;
+
+/**
+ * Match every existing GPS ride that passes near a segment and record
+ * its efforts, skipping rides that already have efforts on the segment
+ * @param {string} segmentId - Segment ID
+ * @param {function} onProgress - Optional async callback (processed, total)
+ * @returns {number} Efforts recorded
+ */
+const matchSegmentRides = async (segmentId, onProgress = async () => {}) => {
+  const segment = await Segment.findById(segmentId);
+  if (!segment) throw new Error('Segment not found');
+
+  const { minLatitude, maxLatitude, minLongitude, maxLongitude } = segment.bounds;
+  const box = {
+    type: 'Polygon',
+    coordinates: [[
+      [minLongitude - SEARCH_MARGIN, minLatitude - SEARCH_MARGIN],
+      [maxLongitude + SEARCH_MARGIN, minLatitude - SEARCH_MARGIN],
+      [maxLongitude + SEARCH_MARGIN, maxLatitude + SEARCH_MARGIN],
+      [minLongitude - SEARCH_MARGIN, maxLatitude + SEARCH_MARGIN],
+      [minLongitude - SEARCH_MARGIN, minLatitude - SEARCH_MARGIN]
+    ]]
+  };
+
+  const matchedRideIds = await SegmentEffort.distinct('rideId', { segmentId: segment._id });
+  const rides = await Ride.find({
+    _id: { $nin: matchedRideIds },
+    routeLine: { $geoIntersects: { $geometry: box } }
+  }).select('userId activityDate');
+
+  await onProgress(0, rides.length);
+
+  let recorded = 0;
+  for (let i = 0; i < rides.length; i++) {
+    const gpsPath = await loadRidePath(rides[i]._id);
+    const efforts = await recordSegmentEfforts(rides[i], gpsPath, [segment]);
+    recorded += efforts.length;
+
+    await onProgress(i + 1, rides.length);
+  }
+
+  return recorded;
+};
+
+module.exports = {
+  matchSegmentRides
+};
@@ -0,0 +1,185 @@
+const { sensorLimits } = require('../config/ride');
+
+// Per-point sensor channels
+const SENSOR_CHANNELS = ['heartRate', 'cadence', 'power', 'temperature'];
+
+// Rolling window (seconds) for normalized power
+const NORMALIZED_POWER_WINDOW = 30;
+
+// Longer gaps (seconds) between samples are not counted as sensor time
+const MAX_SAMPLE_GAP = 30;
+
+/**
+ * Drop sensor values outside the plausible ranges in sensorLimits
+ * @param {array} points - GPS points with optional sensor fields
+ * @returns {array} Points with implausible sensor values removed
+ */
+const sanitizeSensorValues = (points) => {
+  return points.map(point => {
+    const plain = typeof point.toObject === 'function' ? point.toObject() : point;
+    const cleaned = { ...plain };
+
+    SENSOR_CHANNELS.forEach(channel => {
+      const value = cleaned[channel];
+      if (value === undefined) return;
+
+      const { min, max } = sensorLimits[channel];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        delete cleaned[channel];
+      }
+    });
+
+    return cleaned;
+  });
+};
+
+/**
+ * Find sensor values outside the plausible ranges in sensorLimits
+ * @param {array} points - GPS points with optional sensor fields
+ * @returns {array} Entries of { field, message }, one per channel with implausible values
+ */
+const findSensorErrors = (points) => {
+  return SENSOR_CHANNELS.map(channel => {
+    const { min, max } = sensorLimits[channel];
+    const count = points.filter(point => {
+      const value = point[channel];
+      if (value === undefined || value === null) return false;
+      const number = Number(value);
+      return !Number.isFinite(number) || number < min || number > max;
+    }).length;
+
+    return count > 0
+      ? { field: channel, message: `${count} value${count === 1 ? '' : 's'} outside ${min} to ${max}` }
+      : null;
+  }).filter(Boolean);
+};
+
+/**
+ * Sensor channels that have at least one value
+ * @param {array} points - GPS points
+ * @returns {array} Channel names
+ */
+const presentSensorChannels = (points) => {
+  return SENSOR_CHANNELS.filter(channel => points.some(point => point[channel] !== undefined));
+};
+
+/**
+ * Round to a fixed number of decimals, keeping null
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number|null} Rounded value
+ */
+const round = (value, decimals = 0) => {
+  if (value === null) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Time-weighted average of a channel
+ * Each sample counts for the time until the next one (gaps excluded).
+ * @param {array} points - Chronological GPS points
+ * @param {string} channel - Sensor channel
+ * @param {function} include - Optional filter on values
+ * @returns {number|null} Average, or null when the channel is missing
+ */
+const timeWeightedAverage = (points, channel, include = () => true) => {
+  let weighted = 0;
+  let seconds = 0;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const value = points[i][channel];
+    if (value === undefined || !include(value)) continue;
+
+    const dt = (new Date(points[i + 1].timestamp) - new Date(points[i].timestamp)) / 1000;
+    if (dt <= 0 || dt > MAX_SAMPLE_GAP) continue;
+
+    weighted += value * dt;
+    seconds += dt;
+  }
+
+  if (seconds === 0) {
+    // Too few samples to weight - fall back to a plain mean
+    const values = points.map(point => point[channel]).filter(value => value !== undefined && include(value));
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  }
+
+  return weighted / seconds;
+};
+
+/**
+ * Maximum value of a channel
+ * @param {array} points - GPS points
+ * @param {string} channel - Sensor channel
+ * @returns {number|null} Maximum, or null when the channel is missing
+ */
+const channelMax = (points, channel) => {
+  const values = points.map(point => point[channel]).filter(value => value !== undefined);
+  return values.length > 0 ? Math.max(...values) : null;
+};
+
+/**
+ * Normalized power (Coggan)
+ * Power is resampled to 1 Hz, smoothed with a 30 s rolling average,
+ * raised to the 4th power, averaged, and the 4th root taken.
+ * @param {array} points - Chronological GPS points with power
+ * @returns {number|null} Normalized power in watts, or null if under 30 s of data
+ */
+const normalizedPower = (points) => {
+  const series = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const value = points[i].power;
+    if (value === undefined) continue;
+
+    const dt = Math.round((new Date(points[i + 1].timestamp) - new Date(points[i].timestamp)) / 1000);
+    if (dt <= 0 || dt > MAX_SAMPLE_GAP) continue;
+
+    for (let s = 0; s < dt; s++) series.push(value);
+  }
+
+  if (series.length < NORMALIZED_POWER_WINDOW) return null;
+
+  let windowSum = 0;
+  let fourthPowerSum = 0;
+  let count = 0;
+
+  series.forEach((value, i) => {
+    windowSum += value;
+    if (i >= NORMALIZED_POWER_WINDOW) windowSum -= series[i - NORMALIZED_POWER_WINDOW];
+    if (i >= NORMALIZED_POWER_WINDOW - 1) {
+      fourthPowerSum += Math.pow(windowSum / NORMALIZED_POWER_WINDOW, 4);
+      count++;
+    }
+  });
+
+  return Math.pow(fourthPowerSum / count, 0.25);
+};
+
+/**
+ * Summarise the sensor channels of a GPS path
+ * Average cadence ignores coasting (zero) samples; average power includes them.
+ * @param {array} points - Chronological GPS points with optional sensor fields
+ * @returns {object} { averageHeartRate, maxHeartRate, averageCadence, averagePower,
+ *   maxPower, normalizedPower, averageTemperature } - null where there is no data
+ */
+const deriveSensorSummary = (points) => {
+  return {
+    averageHeartRate: round(timeWeightedAverage(points, 'heartRate')),
+    maxHeartRate: channelMax(points, 'heartRate'),
+    averageCadence: round(timeWeightedAverage(points, 'cadence', value => value > 0)),
+    averagePower: round(timeWeightedAverage(points, 'power')),
+    maxPower: channelMax(points, 'power'),
+    normalizedPower: round(normalizedPower(points)),
+    averageTemperature: round(timeWeightedAverage(points, 'temperature'), 1)
+  };
+};
+
+module.exports = {
+  SENSOR_CHANNELS,
+  MAX_SAMPLE_GAP,
+  sanitizeSensorValues,
+  findSensorErrors,
+  presentSensorChannels,
+  deriveSensorSummary
+};
@@ -0,0 +1,153 @@
+const { MAX_SAMPLE_GAP } = require('./sensorMetrics');
+const { resolveZoneSettings } = require('./trainingZones');
+
+// Time constants (days) of the fitness and fatigue averages
+const CTL_DAYS = 42;
+const ATL_DAYS = 7;
+
+// Resting heart rate assumed for TRIMP (bpm)
+const RESTING_HEART_RATE = 60;
+
+// Threshold HR as a fraction of max HR when no threshold is set
+const THRESHOLD_HR_FRACTION = 0.9;
+
+// Speed (km/h) treated as threshold effort when there is no sensor data
+const THRESHOLD_SPEED = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Banister TRIMP weighting for one heart rate sample
+ * @param {number} heartRate - Heart rate (bpm)
+ * @param {number} maxHeartRate - Max heart rate (bpm)
+ * @param {string} sex - Profile sex; 'Female' uses the female weighting
+ * @returns {number} TRIMP per minute
+ */
+const trimpPerMinute = (heartRate, maxHeartRate, sex) => {
+  const reserve = Math.min(Math.max((heartRate - RESTING_HEART_RATE) / (maxHeartRate - RESTING_HEART_RATE), 0), 1);
+  return sex === 'Female'
+    ? reserve * 0.86 * Math.exp(1.67 * reserve)
+    : reserve * 0.64 * Math.exp(1.92 * reserve);
+};
+
+/**
+ * Heart-rate based stress score (TRIMP scaled so an hour at threshold = 100)
+ * Uses per-point heart rate when available, otherwise the ride average.
+ * @param {object} ride - Ride with movingTime and averageHeartRate
+ * @param {array} points - Processed GPS points
+ * @param {object} settings - Resolved zone settings
+ * @param {string} sex - Profile sex
+ * @returns {number|null} Score, or null without heart rate data
+ */
+const heartRateStress = (ride, points, settings, sex) => {
+  const maxHeartRate = settings.maxHeartRate;
+  const thresholdHeartRate = settings.thresholdHeartRate || maxHeartRate * THRESHOLD_HR_FRACTION;
+
+  let trimp = 0;
+  let sampled = false;
+  for (let i = 0; i < points.length - 1; i++) {
+    if (points[i].heartRate === undefined) continue;
+
+    const dt = (new Date(points[i + 1].timestamp) - new Date(points[i].timestamp)) / 1000;
+    if (dt <= 0 || dt > MAX_SAMPLE_GAP) continue;
+
+    trimp += trimpPerMinute(points[i].heartRate, maxHeartRate, sex) * dt / 60;
+    sampled = true;
+  }
+
+  if (!sampled) {
+    if (!ride.averageHeartRate) return null;
+    trimp = trimpPerMinute(ride.averageHeartRate, maxHeartRate, sex) * ride.movingTime / 60;
+  }
+
+  return trimp / (trimpPerMinute(thresholdHeartRate, maxHeartRate, sex) * 60) * 100;
+};
+
+/**
+ * Training stress score for a ride
+ * power - TSS from normalized power and FTP
+ * heartRate - TRIMP normalised to an hour at threshold heart rate
+ * estimated - Duration with intensity guessed from average speed
+ * @param {object} ride - Ride with movingTime, averageSpeed and sensor summaries
+ * @param {array} points - Processed GPS points (may be empty)
+ * @param {object} settings - Resolved zone settings (maxHeartRate, thresholdHeartRate, ftp)
+ * @param {string} sex - Profile sex
+ * @returns {object} { score, intensityFactor, method }
+ */
+const computeTrainingStress = (ride, points, settings, sex) => {
+  const hours = (ride.movingTime || 0) / 3600;
+  const round = (value) => Math.round(value * 10) / 10;
+
+  if (ride.normalizedPower && settings.ftp) {
+    const intensityFactor = ride.normalizedPower / settings.ftp;
+    return {
+      score: round(hours * intensityFactor * intensityFactor * 100),
+      intensityFactor: Math.round(intensityFactor * 100) / 100,
+      method: 'power'
+    };
+  }
+
+  const hrScore = heartRateStress(ride, points, settings, sex);
+  if (hrScore !== null) {
+    return {
+      score: round(hrScore),
+      intensityFactor: hours > 0 ? Math.round(Math.sqrt(hrScore / (hours * 100)) * 100) / 100 : null,
+      method: 'heartRate'
+    };
+  }
+
+  const intensityFactor = Math.min(Math.max((ride.averageSpeed || 0) / THRESHOLD_SPEED, 0.5), 1.1);
+  return {
+    score: round(hours * intensityFactor * intensityFactor * 100),
+    intensityFactor: Math.round(intensityFactor * 100) / 100,
+    method: 'estimated'
+  };
+};
+
+/**
+ * Training stress for a ride using its owner's zone settings
+ * @param {object} ride - Ride with movingTime, averageSpeed and sensor summaries
+ * @param {array} points - The ride's processed GPS points
+ * @param {object} user - Ride owner (age, sex, weight, zoneSettings)
+ * @returns {object} Fields for Ride.trainingLoad
+ */
+const computeRideTrainingLoad = (ride, points, user) => {
+  return computeTrainingStress(ride, points, resolveZoneSettings(user), user && user.sex);
+};
+
+/**
+ * UTC midnight of the day a date falls on
+ * @param {Date|string} date - Any date
+ * @returns {Date} Start of the UTC day
+ */
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * Advance fitness and fatigue by one day
+ * Form (TSB) is yesterday's fitness minus yesterday's fatigue.
+ * @param {object} previous - Previous day { ctl, atl } (zeros if none)
+ * @param {number} tss - Training stress of the day
+ * @returns {object} { tss, ctl, atl, tsb }
+ */
+const advanceTrainingLoad = (previous, tss) => {
+  const ctl = previous.ctl + (tss - previous.ctl) / CTL_DAYS;
+  const atl = previous.atl + (tss - previous.atl) / ATL_DAYS;
+
+  return {
+    tss,
+    ctl: Math.round(ctl * 10) / 10,
+    atl: Math.round(atl * 10) / 10,
+    tsb: Math.round((previous.ctl - previous.atl) * 10) / 10
+  };
+};
+
+module.exports = {
+  DAY_MS,
+  computeTrainingStress,
+  computeRideTrainingLoad,
+  startOfDay,
+  advanceTrainingLoad
+};
@@ -0,0 +1,137 @@
+const { MAX_SAMPLE_GAP } = require('./sensorMetrics');
+
+// Profile values assumed when the user hasn't filled them in
+const DEFAULT_AGE = 35;
+const DEFAULT_FTP = 200; // watts
+const DEFAULT_FTP_PER_KG = 2.5; // watts per kg, typical recreational rider
+
+// Lower bound of each heart rate zone as a fraction of max HR
+const MAX_HR_ZONE_BOUNDS = [0, 0.6, 0.7, 0.8, 0.9];
+
+// Lower bound of each heart rate zone as a fraction of threshold HR
+const THRESHOLD_HR_ZONE_BOUNDS = [0, 0.85, 0.9, 0.95, 1.0];
+
+// Lower bound of each Coggan power zone as a fraction of FTP
+const POWER_ZONE_BOUNDS = [0, 0.56, 0.76, 0.91, 1.06, 1.21, 1.51];
+
+/**
+ * Resolve a user's zone settings, filling gaps from their profile
+ * Max HR defaults to the Tanaka estimate (208 - 0.7 × age) and FTP to
+ * 2.5 W/kg of body weight.
+ * @param {object} user - User with age, weight and zoneSettings
+ * @returns {object} { maxHeartRate, thresholdHeartRate, ftp, defaults }
+ *   defaults - Names of the settings that were derived rather than set
+ */
+const resolveZoneSettings = (user) => {
+  const settings = (user && user.zoneSettings) || {};
+  const defaults = [];
+
+  let maxHeartRate = settings.maxHeartRate;
+  if (!maxHeartRate) {
+    maxHeartRate = Math.round(208 - 0.7 * ((user && user.age) || DEFAULT_AGE));
+    defaults.push('maxHeartRate');
+  }
+
+  let ftp = settings.ftp;
+  if (!ftp) {
+    ftp = user && user.weight ? Math.round(user.weight * DEFAULT_FTP_PER_KG) : DEFAULT_FTP;
+    defaults.push('ftp');
+  }
+
+  return {
+    maxHeartRate,
+    thresholdHeartRate: settings.thresholdHeartRate || null,
+    ftp,
+    defaults
+  };
+};
+
+/**
+ * Turn fractional lower bounds into zone ranges
+ * @param {array} bounds - Lower bound of each zone as a fraction of the reference
+ * @param {number} reference - Reference value (max HR, threshold HR or FTP)
+ * @returns {array} Zones of { zone, min, max } (max is null for the top zone)
+ */
+const buildZones = (bounds, reference) => {
+  return bounds.map((fraction, i) => ({
+    zone: i + 1,
+    min: Math.round(fraction * reference),
+    max: i < bounds.length - 1 ? Math.round(bounds[i + 1] * reference) : null
+  }));
+};
+
+/**
+ * The 5 heart rate zones for resolved settings
+ * Threshold HR is used when set, otherwise max HR.
+ * @param {object} settings - Result of resolveZoneSettings
+ * @returns {array} Zones of { zone, min, max }
+ */
+const buildHeartRateZones = (settings) => {
+  return settings.thresholdHeartRate
+    ? buildZones(THRESHOLD_HR_ZONE_BOUNDS, settings.thresholdHeartRate)
+    : buildZones(MAX_HR_ZONE_BOUNDS, settings.maxHeartRate);
+};
+
+/**
+ * The 7 power zones for resolved settings
+ * @param {object} settings - Result of resolveZoneSettings
+ * @returns {array} Zones of { zone, min, max }
+ */
+const buildPowerZones = (settings) => {
+  return buildZones(POWER_ZONE_BOUNDS, settings.ftp);
+};
+
+/**
+ * Seconds spent in each zone for one sensor channel
+ * Each sample counts for the time until the next one (gaps excluded).
+ * @param {array} points - Chronological GPS points
+ * @param {string} channel - 'heartRate' or 'power'
+ * @param {array} zones - Zones of { zone, min, max }
+ * @returns {array} Zones of { zone, min, max, time }, empty if the channel is missing
+ */
+const computeTimeInZones = (points, channel, zones) => {
+  if (!points.some(point => point[channel] !== undefined)) return [];
+
+  const times = zones.map(() => 0);
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const value = points[i][channel];
+    if (value === undefined) continue;
+
+    const dt = (new Date(points[i + 1].timestamp) - new Date(points[i].timestamp)) / 1000;
+    if (dt <= 0 || dt > MAX_SAMPLE_GAP) continue;
+
+    let index = zones.length - 1;
+    while (index > 0 && value < zones[index].min) index--;
+    times[index] += dt;
+  }
+
+  return zones.map((zone, i) => ({ ...zone, time: Math.round(times[i]) }));
+};
+
+/**
+ * Time-in-zone breakdown for a ride
+ * @param {array} points - The ride's processed GPS points
+ * @param {object} user - Ride owner (age, weight, zoneSettings)
+ * @returns {object} Fields for Ride.timeInZones
+ */
+const computeRideZones = (points, user) => {
+  const settings = resolveZoneSettings(user);
+
+  return {
+    heartRate: computeTimeInZones(points, 'heartRate', buildHeartRateZones(settings)),
+    power: computeTimeInZones(points, 'power', buildPowerZones(settings)),
+    maxHeartRate: settings.maxHeartRate,
+    thresholdHeartRate: settings.thresholdHeartRate,
+    ftp: settings.ftp,
+    computedAt: new Date()
+  };
+};
+
+module.exports = {
+  resolveZoneSettings,
+  buildHeartRateZones,
+  buildPowerZones,
+  computeTimeInZones,
+  computeRideZones
+};
@@ -0,0 +1,50 @@
+const User = require('../models/User');
+const Ride = require('../models/Ride');
+const { loadRidePath } = require('./rideStreams');
+const { computeRideZones } = require('./trainingZones');
+const { computeRideTrainingLoad } = require('./trainingLoad');
+const { recalculateWeeklyStats, updateTrainingLoad } = require('./calculateStats');
+
+// Channels that zones and heart rate training stress are computed from
+const ZONE_CHANNELS = ['heartRate', 'power'];
+
+/**
+ * Recompute time in zones and training stress for every ride of a user,
+ * then rebuild their weekly statistics and daily training load
+ * Only rides with HR or power data have their stream loaded.
+ * @param {string} userId - User ID
+ * @param {function} onProgress - Optional async callback (processed, total)
+ * @returns {number} Rides updated
+ */
+const recalculateUserZones = async (userId, onProgress = async () => {}) => {
+  const user = await User.findById(userId).select('age sex weight zoneSettings');
+  if (!user) throw new Error('User not found');
+
+  const rides = await Ride.find({ userId })
+    .select('movingTime averageSpeed averageHeartRate normalizedPower streamInfo timeInZones trainingLoad');
+
+  await onProgress(0, rides.length);
+
+  for (let i = 0; i < rides.length; i++) {
+    const ride = rides[i];
+    const hasSensors = ride.streamInfo.channels.some(channel => ZONE_CHANNELS.includes(channel));
+    const gpsPath = hasSensors ? await loadRidePath(ride._id) : [];
+
+    if (hasSensors) {
+      ride.timeInZones = computeRideZones(gpsPath, user);
+    }
+    ride.trainingLoad = computeRideTrainingLoad(ride, gpsPath, user);
+    await ride.save();
+
+    await onProgress(i + 1, rides.length);
+  }
+
+  await recalculateWeeklyStats(userId);
+  await updateTrainingLoad(userId);
+
+  return rides.length;
+};
+
+module.exports = {
+  recalculateUserZones
+};